@@ -143,6 +143,11 @@ class QuantRoomsBackground {
         sendResponse(voteResult);
         break;
 
+      case 'REPORT_PROBLEM':
+        const reportResult = await this.reportProblem(message.data);
+        sendResponse(reportResult);
+        break;
+
       case 'LOGIN_STATUS_UPDATE':
         // From content script
         if (this.activeGame && this.activeGame.status === 'waiting_for_ready') {
@@ -152,9 +157,9 @@ class QuantRoomsBackground {
         break;
 
       case 'SUBMISSION_RESULT':
-        // From content script
-        if (this.activeGame && message.result.solved) {
-          this.submitSolution(true);
+        // From content script; failures count as wrong attempts
+        if (this.activeGame && this.activeGame.status === 'playing') {
+          this.submitSolution(message.result.solved);
         }
         sendResponse({ received: true });
         break;
@@ -433,10 +438,37 @@ class QuantRoomsBackground {
       this.checkQuantGuideLogin();
     });
 
+    this.socket.on('game-resumed', (data) => {
+      console.log('Game resumed:', data);
+      this.activeGame = data.gameState;
+      this.broadcastToPopup('GAME_RESUMED', data);
+      
+      if (data.gameState.status === 'playing') {
+        this.broadcastToContentScripts({ type: 'GAME_STARTED' });
+      } else if (data.gameState.status === 'waiting_for_ready') {
+        this.checkQuantGuideLogin();
+      }
+    });
+
     this.socket.on('ready-update', (data) => {
       this.broadcastToPopup('READY_UPDATE', data);
     });
 
+    this.socket.on('ready-check-expired', (data) => {
+      this.broadcastToPopup('READY_CHECK_EXPIRED', data);
+      this.showNotification('Waiting for the host to continue or cancel', 'Ready Check Expired');
+    });
+
+    this.socket.on('ready-check-resolved', (data) => {
+      this.broadcastToPopup('READY_CHECK_RESOLVED', data);
+
+      // Players left out of the game stop monitoring QuantGuide
+      if (data.dropped.some(p => p.userId === this.currentUser?.userId)) {
+        this.activeGame = null;
+        this.broadcastToContentScripts({ type: 'GAME_ENDED' });
+      }
+    });
+
     this.socket.on('voting-started', (data) => {
       this.activeGame = data.gameState;
       this.broadcastToPopup('VOTING_STARTED', data);
@@ -448,6 +480,7 @@ class QuantRoomsBackground {
 
     this.socket.on('game-problem-selected', (data) => {
       this.activeGame.currentProblem = data.problem;
+      this.activeGame.round = data.round;
       this.activeGame.status = 'playing';
       this.broadcastToPopup('PROBLEM_SELECTED', data);
       
@@ -466,6 +499,37 @@ class QuantRoomsBackground {
       this.showNotification(`${data.username} solved in ${data.timeElapsed}s! (Position: ${data.position})`);
     });
 
+    this.socket.on('player-forfeited', (data) => {
+      this.broadcastToPopup('PLAYER_FORFEITED', data);
+      if (data.userId === this.currentUser?.userId) {
+        this.broadcastToContentScripts({ type: 'GAME_ENDED' });
+      }
+    });
+
+    this.socket.on('wrong-attempt', (data) => {
+      this.broadcastToPopup('WRONG_ATTEMPT', data);
+    });
+
+    this.socket.on('problem-reported', (data) => {
+      this.broadcastToPopup('PROBLEM_REPORTED', data);
+      if (data.suspended) {
+        this.showNotification('This problem has been pulled from rotation after multiple reports.');
+      }
+    });
+
+    this.socket.on('round-ended', (data) => {
+      this.broadcastToPopup('ROUND_ENDED', data);
+      
+      // Stop monitoring until the next round's problem is selected
+      this.broadcastToContentScripts({ type: 'GAME_ENDED' });
+      
+      const leader = data.standings[0];
+      this.showNotification(
+        `Round ${data.round}/${data.totalRounds} over. Leader: ${leader.username} (${leader.totalPoints} pts)`,
+        'Round Finished'
+      );
+    });
+
     this.socket.on('game-ended', (data) => {
       this.activeGame = null;
       this.broadcastToPopup('GAME_ENDED', data);
@@ -473,11 +537,30 @@ class QuantRoomsBackground {
       
       const winner = data.winner;
       const userEloChange = data.eloChanges[this.currentUser.userId];
+      const eloText = data.ranked
+        ? `Your ELO: ${userEloChange > 0 ? '+' : ''}${userEloChange}`
+        : 'Casual game, ELO unchanged';
       this.showNotification(
-        `Game Over! Winner: ${winner.username}. Your ELO: ${userEloChange > 0 ? '+' : ''}${userEloChange}`,
+        `Game Over! Winner: ${winner.username}. ${eloText}`,
         'Game Finished'
       );
     });
+
+    this.socket.on('rematch-offered', (data) => {
+      this.broadcastToPopup('REMATCH_OFFERED', data);
+      this.showNotification('Open QuantRooms to accept or decline', 'Rematch?');
+    });
+
+    this.socket.on('rematch-cancelled', (data) => {
+      this.broadcastToPopup('REMATCH_CANCELLED', data);
+    });
+
+    this.socket.on('game-cancelled', (data) => {
+      this.activeGame = null;
+      this.broadcastToPopup('GAME_CANCELLED', data);
+      this.broadcastToContentScripts({ type: 'GAME_ENDED' });
+      this.showNotification(`Game cancelled: ${data.reason}`);
+    });
   }
 
   async createRoom(data) {
@@ -681,6 +764,24 @@ class QuantRoomsBackground {
     return { success: true };
   }
 
+  async reportProblem(data) {
+    if (!this.socket || !this.socket.connected) {
+      return { success: false, error: 'Not connected to server' };
+    }
+
+    return new Promise((resolve) => {
+      const timeout = setTimeout(() => {
+        resolve({ success: false, error: 'Request timeout' });
+      }, 5000);
+
+      // The acknowledgement answers this report only, unlike room broadcasts
+      this.socket.emit('report-problem', data, (response) => {
+        clearTimeout(timeout);
+        resolve(response);
+      });
+    });
+  }
+
   broadcastToContentScripts(message) {
     chrome.tabs.query({}, (tabs) => {
       tabs.forEach(tab => {
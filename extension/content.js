@@ -167,6 +167,7 @@ class QuantRooms {
         // Activate game mode and submission monitoring
         this.gameActive = true;
         this.setupSubmissionMonitoring();
+        this.highlightProblem(true);
         sendResponse({ success: true });
         break;
         
@@ -174,6 +175,7 @@ class QuantRooms {
         // Deactivate game mode
         this.gameActive = false;
         this.stopSubmissionMonitoring();
+        this.highlightProblem(false);
         sendResponse({ success: true });
         break;
         
@@ -212,6 +214,7 @@ class QuantRooms {
           box-shadow: 0 2px 8px rgba(79, 70, 229, 0.3);
           font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
         `;
+        indicator.appendChild(this.createReportControl());
         document.body.appendChild(indicator);
       }
     } else {
@@ -221,6 +224,57 @@ class QuantRooms {
     }
   }
 
+  createReportControl() {
+    // Lets players flag a broken problem for the whole room
+    const select = document.createElement('select');
+    select.id = 'quantrooms-report';
+    select.title = 'Report this problem';
+    select.style.cssText = `
+      margin-left: 12px;
+      background: rgba(255, 255, 255, 0.15);
+      color: white;
+      border: none;
+      border-radius: 10px;
+      font-size: 12px;
+      padding: 2px 6px;
+    `;
+    
+    const reasons = [
+      ['', '⚑ Report'],
+      ['dead_link', 'Dead link'],
+      ['premium_only', 'Premium only'],
+      ['wrong_difficulty', 'Wrong difficulty'],
+      ['ambiguous_answer', 'Ambiguous answer']
+    ];
+    
+    for (const [value, label] of reasons) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      option.style.color = 'black';
+      select.appendChild(option);
+    }
+    
+    select.addEventListener('change', () => {
+      const reason = select.value;
+      if (!reason) return;
+      
+      chrome.runtime.sendMessage({
+        type: 'REPORT_PROBLEM',
+        data: { reason }
+      }, (response) => {
+        select.value = '';
+        select.disabled = !!response?.success;
+        select.options[0].textContent = response?.success ? '⚑ Reported' : '⚑ Report';
+        if (response && !response.success) {
+          console.error('QuantRooms: Report failed:', response.error);
+        }
+      });
+    });
+    
+    return select;
+  }
+
   checkLoginStatus() {
     // Check various indicators of being logged in on QuantGuide
     const loggedInIndicators = [
@@ -82,6 +82,26 @@ function cacheElements() {
   elements.chatForm = document.getElementById('chatForm');
   elements.chatInput = document.getElementById('chatInput');
   
+  // Ready check
+  elements.readyCheckSection = document.getElementById('readyCheckSection');
+  elements.readyCheckStatus = document.getElementById('readyCheckStatus');
+  elements.readyCheckActions = document.getElementById('readyCheckActions');
+  elements.continueWithoutBtn = document.getElementById('continueWithoutBtn');
+  elements.cancelGameBtn = document.getElementById('cancelGameBtn');
+  
+  // Rematch
+  elements.rematchSection = document.getElementById('rematchSection');
+  elements.seriesStatus = document.getElementById('seriesStatus');
+  elements.rematchStatus = document.getElementById('rematchStatus');
+  elements.acceptRematchBtn = document.getElementById('acceptRematchBtn');
+  elements.declineRematchBtn = document.getElementById('declineRematchBtn');
+  
+  // Problem reports
+  elements.reportProblemSection = document.getElementById('reportProblemSection');
+  elements.reportReason = document.getElementById('reportReason');
+  elements.reportProblemBtn = document.getElementById('reportProblemBtn');
+  elements.forfeitBtn = document.getElementById('forfeitBtn');
+  
   // Notification
   elements.notification = document.getElementById('notification');
   elements.notificationText = document.getElementById('notificationText');
@@ -115,13 +135,25 @@ function setupEventListeners() {
   // Chat
   elements.chatForm.addEventListener('submit', handleSendMessage);
   
+  // Ready check
+  elements.continueWithoutBtn.addEventListener('click', () => resolveReadyCheck('continue'));
+  elements.cancelGameBtn.addEventListener('click', () => resolveReadyCheck('cancel'));
+  
+  // Rematch
+  elements.acceptRematchBtn.addEventListener('click', () => socket.emit('rematch-response', { accept: true }));
+  elements.declineRematchBtn.addEventListener('click', () => socket.emit('rematch-response', { accept: false }));
+  
+  // Problem reports
+  elements.reportProblemBtn.addEventListener('click', handleReportProblem);
+  elements.forfeitBtn.addEventListener('click', handleForfeit);
+  
   // Room list event delegation for join buttons
   elements.roomsList.addEventListener('click', (e) => {
-    if (e.target.classList.contains('join-room-btn')) {
+    if (e.target.classList.contains('join-room-btn') || e.target.classList.contains('watch-room-btn')) {
       const roomItem = e.target.closest('.room-item');
       const roomId = roomItem.dataset.roomId;
       if (roomId) {
-        joinRoom(roomId);
+        joinRoom(roomId, e.target.classList.contains('watch-room-btn'));
       }
     }
   });
@@ -422,12 +454,51 @@ async function connectSocket() {
   socket.on('room-joined', handleRoomJoined);
   socket.on('room-left', handleRoomLeft);
   socket.on('player-joined', handlePlayerJoined);
+  socket.on('spectator-joined', handlePlayerJoined);
+  socket.on('player-disconnected', (data) => {
+    showNotification(`${data.username} disconnected, holding their spot`, 'info');
+  });
+  socket.on('player-reconnected', (data) => {
+    showNotification(`${data.username} reconnected`, 'info');
+  });
   socket.on('player-left', handlePlayerLeft);
+  socket.on('teams-updated', handleTeamsUpdated);
   socket.on('current-room', handleCurrentRoom);
   
   // Chat events
   socket.on('new-message', handleNewMessage);
   
+  // Game events
+  socket.on('ready-countdown', handleReadyCountdown);
+  socket.on('ready-check-expired', handleReadyCheckExpired);
+  socket.on('ready-check-resolved', handleReadyCheckResolved);
+  socket.on('voting-started', () => toggleReadyCheckSection(false));
+  socket.on('game-cancelled', () => toggleReadyCheckSection(false));
+  socket.on('game-problem-selected', () => {
+    toggleReadyCheckSection(false);
+    toggleReportSection(true);
+  });
+  socket.on('game-ended', (data) => {
+    toggleReportSection(false);
+    elements.seriesStatus.textContent = data.series ? formatSeries(data.series) : '';
+  });
+  socket.on('rematch-offered', handleRematchUpdate);
+  socket.on('rematch-update', handleRematchUpdate);
+  socket.on('rematch-cancelled', (data) => {
+    toggleRematchSection(false);
+    showNotification(data.reason, 'info');
+  });
+  socket.on('game-started', (data) => {
+    toggleRematchSection(false);
+    if (data.rematch) {
+      showNotification(`Rematch! ${formatSeries(data.series)}`, 'success');
+    }
+  });
+  socket.on('player-forfeited', (data) => {
+    showNotification(`${data.username} forfeited`, 'info');
+  });
+  socket.on('problem-reported', handleProblemReported);
+  
   // Error events
   socket.on('error', handleSocketError);
   
@@ -452,12 +523,22 @@ function showRoomListView() {
 async function handleCreateRoom(e) {
   e.preventDefault();
   
+  const teamCount = parseInt(document.getElementById('teamCount').value);
   const roomData = {
     name: document.getElementById('roomName').value,
     maxPlayers: parseInt(document.getElementById('maxPlayers').value),
     difficulty: document.getElementById('difficulty').value,
     eloMin: parseInt(document.getElementById('eloMin').value),
-    eloMax: parseInt(document.getElementById('eloMax').value)
+    eloMax: parseInt(document.getElementById('eloMax').value),
+    ranked: document.getElementById('ranked').checked,
+    settings: {
+      rounds: parseInt(document.getElementById('rounds').value),
+      votingMode: document.getElementById('votingMode').value,
+      scoring: document.getElementById('scoring').value,
+      wrongAttemptPenalty: { type: document.getElementById('wrongAttemptPenalty').value },
+      teamMode: teamCount > 0 ? { teamCount, assignment: 'auto' } : null,
+      solveTimeLimit: parseInt(document.getElementById('solveTimeLimit').value)
+    }
   };
   
   socket.emit('create-room', roomData);
@@ -501,11 +582,14 @@ function handleRoomList(rooms) {
   elements.roomsList.innerHTML = rooms.map(room => `
     <div class="room-item" data-room-id="${room.room_id}">
       <div class="room-info">
-        <h4>${room.name}</h4>
+        <h4>${room.name}${room.is_ranked ? ' <span class="room-ranked">Ranked</span>' : ''}</h4>
         <span class="room-players">${room.current_players}/${room.max_players} players</span>
         <span class="room-players">ELO: ${room.elo_min}-${room.elo_max}</span>
+        ${room.status === 'in_game' ? '<span class="room-players">In game</span>' : ''}
+        ${room.spectatorCount ? `<span class="room-players">${room.spectatorCount} watching</span>` : ''}
       </div>
-      <button class="btn btn-sm btn-primary join-room-btn">Join</button>
+      ${room.status === 'waiting' ? '<button class="btn btn-sm btn-primary join-room-btn">Join</button>' : ''}
+      <button class="btn btn-sm btn-secondary watch-room-btn">Watch</button>
     </div>
   `).join('');
 }
@@ -530,7 +614,7 @@ function handleRoomJoined(data) {
     currentRoom = data.room;
     showSubView('currentRoom');
     updateRoomView();
-    showNotification('Joined room successfully!', 'success');
+    showNotification(data.spectator ? 'Watching room' : 'Joined room successfully!', 'success');
   } else {
     console.error('❌ Room join failed:', data);
   }
@@ -571,6 +655,13 @@ function handlePlayerLeft(data) {
   }
 }
 
+function handleTeamsUpdated(data) {
+  if (currentRoom) {
+    currentRoom = data.room;
+    updateRoomView();
+  }
+}
+
 function handleNewMessage(data) {
   if (!elements.chatMessages) return;
   
@@ -596,6 +687,89 @@ async function handleSendMessage(e) {
   }
 }
 
+// Ready Check
+function handleReadyCountdown(data) {
+  const names = data.waitingOn.map(p => p.username).join(', ');
+  elements.readyCheckStatus.textContent = `${data.secondsLeft}s left. Waiting on: ${names}`;
+  elements.readyCheckActions.style.display = 'none';
+  toggleReadyCheckSection(true);
+}
+
+function handleReadyCheckExpired(data) {
+  const names = data.unready.map(p => p.username).join(', ');
+  const isHost = currentRoom?.players?.some(p => p.isHost && p.id === currentUser?.userId);
+  
+  elements.readyCheckStatus.textContent = isHost
+    ? `Time's up. Not ready: ${names}`
+    : `Time's up. Waiting for the host to continue without ${names} or cancel`;
+  elements.readyCheckActions.style.display = isHost ? 'flex' : 'none';
+  elements.continueWithoutBtn.disabled = !data.canContinue;
+  toggleReadyCheckSection(true);
+}
+
+function handleReadyCheckResolved(data) {
+  toggleReadyCheckSection(false);
+  
+  const dropped = data.dropped.find(p => p.userId === currentUser?.userId);
+  const message = dropped
+    ? 'You were not ready in time and were left out of this game'
+    : `Continuing without ${data.dropped.map(p => p.username).join(', ')}`;
+  showNotification(message, 'info');
+}
+
+function resolveReadyCheck(action) {
+  socket.emit('resolve-ready-check', { action });
+}
+
+function toggleReadyCheckSection(visible) {
+  elements.readyCheckSection.style.display = visible ? 'block' : 'none';
+}
+
+// Rematch
+function handleRematchUpdate(data) {
+  const secondsLeft = Math.max(0, Math.ceil((data.deadline - Date.now()) / 1000));
+  elements.rematchStatus.textContent =
+    `${data.accepted}/${data.eligible} in (${data.needed} needed), ${data.declined} out. ${secondsLeft}s to decide`;
+  toggleRematchSection(true);
+}
+
+// "Alice leads 2-1" style summary of a series
+function formatSeries(series) {
+  const [leader, runnerUp] = series.standings;
+  if (!leader) return '';
+  
+  if (!runnerUp || leader.wins === runnerUp.wins) {
+    return `Series tied ${leader.wins}-${runnerUp ? runnerUp.wins : leader.wins}`;
+  }
+  return `${leader.username} leads ${leader.wins}-${runnerUp.wins}`;
+}
+
+function toggleRematchSection(visible) {
+  elements.rematchSection.style.display = visible ? 'block' : 'none';
+}
+
+// Problem Reports
+function handleReportProblem() {
+  socket.emit('report-problem', { reason: elements.reportReason.value });
+}
+
+function handleForfeit() {
+  if (confirm('Forfeit this game? You will finish last.')) {
+    socket.emit('forfeit');
+  }
+}
+
+function handleProblemReported(data) {
+  const message = data.suspended
+    ? 'Problem reported and pulled from rotation'
+    : `Problem reported (${data.openReports} report${data.openReports === 1 ? '' : 's'})`;
+  showNotification(message, 'info');
+}
+
+function toggleReportSection(visible) {
+  elements.reportProblemSection.style.display = visible ? 'block' : 'none';
+}
+
 // UI Updates
 function updateUserInfo() {
   if (currentUser) {
@@ -621,10 +795,12 @@ function updateRoomView() {
   if (currentRoom.players) {
     elements.playersList.innerHTML = currentRoom.players.map(player => `
       <div class="player-item ${player.isHost ? 'host' : ''}">
-        <span>${player.name}</span>
+        <span>${player.name}${player.team ? ` (Team ${player.team})` : ''}</span>
         <span>ELO: ${player.elo}</span>
       </div>
-    `).join('');
+    `).join('') + (currentRoom.spectators?.length
+      ? `<div class="player-item spectators">Watching: ${currentRoom.spectators.map(s => s.name).join(', ')}</div>`
+      : '');
   }
 }
 
@@ -725,12 +901,12 @@ async function fetchAPI(endpoint, method = 'GET', body = null) {
 }
 
 // Function for room joining from list
-function joinRoom(roomId) {
+function joinRoom(roomId, spectator = false) {
   console.log('🏠 Attempting to join room:', roomId);
   if (!socket || !socket.connected) {
     console.error('❌ Socket not connected');
     showNotification('Connection error. Please try again.', 'error');
     return;
   }
-  socket.emit('join-room', { roomId });
+  socket.emit('join-room', { roomId, spectator });
 }
\ No newline at end of file
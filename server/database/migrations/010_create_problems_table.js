@@ -0,0 +1,41 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('problems', function(table) {
+    // Primary key
+    table.uuid('problem_id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    
+    // QuantGuide identity
+    table.string('quantguide_id', 255).unique().notNullable();
+    table.string('title', 255).notNullable();
+    table.enum('difficulty', ['easy', 'medium', 'hard']).notNullable();
+    table.string('topic', 50).notNullable();
+    table.string('url_ending', 255).notNullable();
+    table.string('full_url', 500).notNullable();
+    
+    // Catalog metadata
+    table.boolean('is_premium').defaultTo(false);
+    table.boolean('is_active').defaultTo(true);
+    table.jsonb('companies').defaultTo('[]');
+    table.jsonb('tags').defaultTo('[]');
+    
+    // Sync tracking
+    table.timestamp('crawled_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('last_verified');
+    
+    // Timestamps
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+    
+    // Indexes
+    table.index('difficulty');
+    table.index('topic');
+    table.index('is_active');
+    table.index('is_premium');
+  }).then(() => knex.raw(`
+    CREATE TRIGGER update_problems_updated_at BEFORE UPDATE ON problems
+      FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+  `));
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('problems');
+};
@@ -0,0 +1,21 @@
+exports.up = function(knex) {
+  return knex.schema.table('problems', table => {
+    table.integer('times_used').defaultTo(0); // games played on this problem
+    table.integer('times_attempted').defaultTo(0); // player attempts across those games
+    table.integer('times_solved').defaultTo(0);
+    table.integer('avg_solve_time'); // seconds
+    table.integer('median_solve_time'); // seconds
+    table.integer('avg_solver_elo');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.table('problems', table => {
+    table.dropColumn('times_used');
+    table.dropColumn('times_attempted');
+    table.dropColumn('times_solved');
+    table.dropColumn('avg_solve_time');
+    table.dropColumn('median_solve_time');
+    table.dropColumn('avg_solver_elo');
+  });
+};
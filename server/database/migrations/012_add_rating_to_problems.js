@@ -0,0 +1,17 @@
+exports.up = async function(knex) {
+  await knex.schema.table('problems', table => {
+    table.integer('rating').defaultTo(1200);
+    table.index('rating');
+  });
+  
+  // Seed ratings from QuantGuide's labels until game outcomes calibrate them
+  await knex('problems').where({ difficulty: 'easy' }).update({ rating: 1000 });
+  await knex('problems').where({ difficulty: 'hard' }).update({ rating: 1400 });
+};
+
+exports.down = function(knex) {
+  return knex.schema.table('problems', table => {
+    table.dropIndex('rating');
+    table.dropColumn('rating');
+  });
+};
@@ -0,0 +1,12 @@
+exports.up = function(knex) {
+  return knex.raw(`
+    CREATE INDEX problems_title_search_idx ON problems
+      USING GIN (to_tsvector('english', title));
+  `);
+};
+
+exports.down = function(knex) {
+  return knex.raw(`
+    DROP INDEX IF EXISTS problems_title_search_idx;
+  `);
+};
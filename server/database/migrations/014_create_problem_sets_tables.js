@@ -0,0 +1,51 @@
+exports.up = async function(knex) {
+  await knex.schema.createTable('problem_sets', table => {
+    // Primary key (doubles as the share ID)
+    table.uuid('set_id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    
+    // Set details
+    table.uuid('owner_id').references('user_id').inTable('users').onDelete('CASCADE');
+    table.string('name', 100).notNullable();
+    table.text('description');
+    table.boolean('is_public').defaultTo(false);
+    
+    // Timestamps
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+    
+    // Indexes
+    table.index('owner_id');
+    table.index('is_public');
+  });
+  
+  await knex.schema.createTable('problem_set_items', table => {
+    table.uuid('set_id').references('set_id').inTable('problem_sets').onDelete('CASCADE');
+    table.uuid('problem_id').references('problem_id').inTable('problems').onDelete('CASCADE');
+    table.integer('position').notNullable(); // 0-based play order
+    
+    // Composite primary key
+    table.primary(['set_id', 'position']);
+    
+    // Indexes
+    table.index('problem_id');
+  });
+  
+  await knex.schema.table('rooms', table => {
+    table.uuid('problem_set_id').references('set_id').inTable('problem_sets').onDelete('SET NULL');
+    table.integer('problem_set_position').defaultTo(0); // next item to play
+  });
+  
+  await knex.raw(`
+    CREATE TRIGGER update_problem_sets_updated_at BEFORE UPDATE ON problem_sets
+      FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+  `);
+};
+
+exports.down = async function(knex) {
+  await knex.schema.table('rooms', table => {
+    table.dropColumn('problem_set_id');
+    table.dropColumn('problem_set_position');
+  });
+  await knex.schema.dropTable('problem_set_items');
+  await knex.schema.dropTable('problem_sets');
+};
@@ -0,0 +1,57 @@
+exports.up = async function(knex) {
+  await knex.schema.createTable('problem_reports', table => {
+    // Primary key
+    table.uuid('report_id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    
+    // Report associations
+    table.uuid('problem_id').references('problem_id').inTable('problems').onDelete('CASCADE');
+    table.uuid('game_id').references('game_id').inTable('games').onDelete('SET NULL');
+    table.uuid('reporter_id').references('user_id').inTable('users').onDelete('CASCADE');
+    
+    // Report details
+    table.enum('reason', ['dead_link', 'premium_only', 'wrong_difficulty', 'ambiguous_answer']).notNullable();
+    table.text('comment');
+    
+    // Review
+    table.enum('status', ['open', 'upheld', 'dismissed']).defaultTo('open');
+    table.uuid('reviewed_by').references('user_id').inTable('users').onDelete('SET NULL');
+    table.timestamp('reviewed_at');
+    table.text('review_note');
+    
+    // Timestamps
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    
+    // Indexes
+    table.index('problem_id');
+    table.index('status');
+    table.index('created_at');
+  });
+  
+  // One open report per player per problem, so the suspension count stays independent
+  await knex.raw(`
+    CREATE UNIQUE INDEX problem_reports_open_reporter_idx
+      ON problem_reports (problem_id, reporter_id) WHERE status = 'open';
+  `);
+  
+  await knex.schema.table('problems', table => {
+    table.boolean('is_suspended').defaultTo(false);
+    table.timestamp('suspended_at');
+    table.index('is_suspended');
+  });
+  
+  await knex.schema.table('users', table => {
+    table.boolean('is_admin').defaultTo(false);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.table('users', table => {
+    table.dropColumn('is_admin');
+  });
+  await knex.schema.table('problems', table => {
+    table.dropIndex('is_suspended');
+    table.dropColumn('is_suspended');
+    table.dropColumn('suspended_at');
+  });
+  await knex.schema.dropTable('problem_reports');
+};
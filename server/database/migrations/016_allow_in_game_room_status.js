@@ -0,0 +1,23 @@
+// Game state is persisted on rooms while a game runs (status 'in_game') and
+// a game row exists before its problem is chosen, so relax both constraints.
+exports.up = function(knex) {
+  return knex.raw(`
+    ALTER TABLE rooms DROP CONSTRAINT IF EXISTS rooms_status_check;
+    ALTER TABLE rooms ADD CONSTRAINT rooms_status_check
+      CHECK (status IN ('waiting', 'active', 'in_game', 'finished'));
+
+    ALTER TABLE games ALTER COLUMN problem_id DROP NOT NULL;
+  `);
+};
+
+exports.down = function(knex) {
+  return knex.raw(`
+    UPDATE rooms SET status = 'waiting' WHERE status = 'in_game';
+    ALTER TABLE rooms DROP CONSTRAINT IF EXISTS rooms_status_check;
+    ALTER TABLE rooms ADD CONSTRAINT rooms_status_check
+      CHECK (status IN ('waiting', 'active', 'finished'));
+
+    DELETE FROM games WHERE problem_id IS NULL;
+    ALTER TABLE games ALTER COLUMN problem_id SET NOT NULL;
+  `);
+};
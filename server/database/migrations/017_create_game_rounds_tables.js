@@ -0,0 +1,67 @@
+// A game is a match of one or more rounds, one problem each. Per-round results
+// live in game_rounds/game_round_participants; game_participants keeps the
+// match totals that Elo is settled on.
+exports.up = async function(knex) {
+  await knex.schema.table('games', table => {
+    table.integer('total_rounds').notNullable().defaultTo(1);
+  });
+
+  await knex.schema.createTable('game_rounds', table => {
+    // Primary key
+    table.uuid('round_id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+
+    // Round associations
+    table.uuid('game_id').notNullable().references('game_id').inTable('games').onDelete('CASCADE');
+    table.integer('round_number').notNullable();
+    table.string('problem_id', 100).notNullable();
+
+    // Round details
+    table.string('status', 20).notNullable().defaultTo('playing');
+    table.timestamp('start_time').notNullable();
+    table.timestamp('end_time');
+
+    // Timestamps
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    // Indexes
+    table.unique(['game_id', 'round_number']);
+    table.index('problem_id');
+  });
+
+  await knex.schema.createTable('game_round_participants', table => {
+    table.uuid('round_id').notNullable().references('round_id').inTable('game_rounds').onDelete('CASCADE');
+    table.uuid('user_id').notNullable().references('user_id').inTable('users').onDelete('CASCADE');
+    table.boolean('solved').defaultTo(false);
+    table.integer('solve_time'); // seconds taken to solve
+    table.integer('points_earned').defaultTo(0);
+    table.integer('position');
+
+    // Indexes
+    table.primary(['round_id', 'user_id']);
+    table.index('user_id');
+  });
+
+  // Existing games were single-problem: each becomes its own round 1
+  await knex.raw(`
+    INSERT INTO game_rounds (game_id, round_number, problem_id, status, start_time, end_time)
+    SELECT game_id, 1, problem_id, COALESCE(status, 'finished'), start_time, end_time
+    FROM games
+    WHERE problem_id IS NOT NULL;
+  `);
+
+  await knex.raw(`
+    INSERT INTO game_round_participants (round_id, user_id, solved, solve_time, points_earned, position)
+    SELECT gr.round_id, gp.user_id, gp.solved, gp.solve_time, gp.points_earned, gp.final_position
+    FROM game_participants gp
+    JOIN game_rounds gr ON gr.game_id = gp.game_id
+    WHERE gp.user_id IS NOT NULL;
+  `);
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTable('game_round_participants');
+  await knex.schema.dropTable('game_rounds');
+  await knex.schema.table('games', table => {
+    table.dropColumn('total_rounds');
+  });
+};
@@ -0,0 +1,27 @@
+// Wrong attempts per player. A time penalty ranks a solve as if it took longer:
+// penalized_solve_time holds that, while solve_time stays the real time taken,
+// which problem stats are built on
+exports.up = async function(knex) {
+  await knex.schema.table('game_participants', table => {
+    table.integer('wrong_attempts').notNullable().defaultTo(0);
+  });
+  await knex.schema.table('game_round_participants', table => {
+    table.integer('wrong_attempts').notNullable().defaultTo(0);
+    table.integer('penalized_solve_time'); // seconds, including wrong attempt penalties
+  });
+  await knex.raw(`
+    UPDATE game_round_participants
+    SET penalized_solve_time = solve_time
+    WHERE solved = true;
+  `);
+};
+
+exports.down = async function(knex) {
+  await knex.schema.table('game_round_participants', table => {
+    table.dropColumn('penalized_solve_time');
+    table.dropColumn('wrong_attempts');
+  });
+  await knex.schema.table('game_participants', table => {
+    table.dropColumn('wrong_attempts');
+  });
+};
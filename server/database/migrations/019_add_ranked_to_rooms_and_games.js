@@ -0,0 +1,23 @@
+// Casual rooms record games without touching Elo; games remember which kind they were
+exports.up = async function(knex) {
+  await knex.schema.table('rooms', table => {
+    table.boolean('is_ranked').defaultTo(false);
+    table.index('is_ranked');
+  });
+  await knex.schema.table('games', table => {
+    table.boolean('is_ranked').defaultTo(false);
+  });
+
+  // Every game before this change counted for Elo
+  await knex('games').update({ is_ranked: true });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.table('games', table => {
+    table.dropColumn('is_ranked');
+  });
+  await knex.schema.table('rooms', table => {
+    table.dropIndex('is_ranked');
+    table.dropColumn('is_ranked');
+  });
+};
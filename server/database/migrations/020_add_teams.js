@@ -0,0 +1,25 @@
+// Team mode: hosts assign lobby players to teams, and games record the
+// teams that played along with each member's team
+exports.up = async function(knex) {
+  await knex.schema.table('room_participants', table => {
+    table.integer('team');
+  });
+  await knex.schema.table('games', table => {
+    table.jsonb('teams'); // Array of {teamId, name, members, points, position, eloChange}
+  });
+  await knex.schema.table('game_participants', table => {
+    table.integer('team');
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.table('game_participants', table => {
+    table.dropColumn('team');
+  });
+  await knex.schema.table('games', table => {
+    table.dropColumn('teams');
+  });
+  await knex.schema.table('room_participants', table => {
+    table.dropColumn('team');
+  });
+};
@@ -0,0 +1,14 @@
+// Spectators sit in room_participants but don't count toward max_players or play
+exports.up = function(knex) {
+  return knex.schema.table('room_participants', table => {
+    table.boolean('is_spectator').defaultTo(false);
+    table.index(['room_id', 'is_spectator']);
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.table('room_participants', table => {
+    table.dropIndex(['room_id', 'is_spectator']);
+    table.dropColumn('is_spectator');
+  });
+};
@@ -0,0 +1,11 @@
+exports.up = function(knex) {
+  return knex.schema.table('game_participants', table => {
+    table.boolean('forfeited').defaultTo(false);
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.table('game_participants', table => {
+    table.dropColumn('forfeited');
+  });
+};
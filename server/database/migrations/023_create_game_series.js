@@ -0,0 +1,28 @@
+// Back-to-back rematches between the same players form a series, so their
+// head-to-head record can be shown across games
+exports.up = async function(knex) {
+  await knex.schema.createTable('game_series', table => {
+    // Primary key
+    table.uuid('series_id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+
+    // Series associations
+    table.uuid('room_id').references('room_id').inTable('rooms').onDelete('SET NULL');
+
+    // Timestamps
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+  });
+
+  await knex.schema.table('games', table => {
+    table.uuid('series_id').references('series_id').inTable('game_series').onDelete('SET NULL');
+    table.index('series_id');
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.table('games', table => {
+    table.dropIndex('series_id');
+    table.dropColumn('series_id');
+  });
+  await knex.schema.dropTable('game_series');
+};
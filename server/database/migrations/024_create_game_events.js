@@ -0,0 +1,25 @@
+// Append-only log of everything that happens in a game, in server time, so a
+// finished game can be replayed. Rows are only ever inserted.
+exports.up = async function(knex) {
+  await knex.schema.createTable('game_events', table => {
+    // Primary key; also breaks ties between events in the same millisecond
+    table.bigIncrements('event_id');
+
+    // Event associations
+    table.uuid('game_id').notNullable().references('game_id').inTable('games').onDelete('CASCADE');
+    table.uuid('user_id').references('user_id').inTable('users').onDelete('SET NULL');
+    table.integer('round_number');
+
+    // Event details
+    table.string('event_type', 30).notNullable();
+    table.jsonb('data').notNullable().defaultTo('{}');
+    table.timestamp('occurred_at', { precision: 3 }).notNullable().defaultTo(knex.fn.now());
+
+    // Indexes
+    table.index(['game_id', 'occurred_at']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTable('game_events');
+};
@@ -37,7 +37,8 @@ const authenticate = async (req, res, next) => {
       userId: user.user_id,
       email: user.email,
       username: user.username,
-      elo: user.elo_rating
+      elo: user.elo_rating,
+      isAdmin: user.is_admin
     };
     
     // Update last active timestamp
@@ -103,6 +104,21 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
+/**
+ * Admin authorization middleware
+ * Must run after authenticate
+ */
+const requireAdmin = (req, res, next) => {
+  if (!req.user || !req.user.isAdmin) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+  
+  next();
+};
+
 /**
  * Socket.io authentication middleware
  */
@@ -147,5 +163,6 @@ const socketAuth = async (socket, next) => {
 module.exports = {
   authenticate,
   optionalAuth,
+  requireAdmin,
   socketAuth
 };
\ No newline at end of file
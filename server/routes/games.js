@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const gameEventService = require('../services/gameEventService');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/games/:id/timeline
+ * @desc    Get every recorded event of a game in order, for replays
+ * @access  Private (running games: players and spectators only)
+ */
+router.get('/:id/timeline', authenticate, async (req, res) => {
+  try {
+    const timeline = await gameEventService.getTimeline(req.params.id, req.user.userId);
+    
+    res.json({
+      success: true,
+      data: timeline
+    });
+  } catch (error) {
+    if (error.message === 'Game not found') {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    if (error.message.startsWith('Only players')) {
+      return res.status(403).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    console.error('Error fetching game timeline:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch game timeline'
+    });
+  }
+});
+
+module.exports = router;
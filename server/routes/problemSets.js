@@ -0,0 +1,184 @@
+const express = require('express');
+const router = express.Router();
+const problemSetService = require('../services/problemSetService');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const { schemas, validateRequest } = require('../utils/validation');
+
+// Map service errors to HTTP responses
+const handleProblemSetError = (res, error, fallbackMessage) => {
+  if (error.message === 'Problem set not found') {
+    return res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+  
+  if (error.message.startsWith('Only the owner')) {
+    return res.status(403).json({
+      success: false,
+      error: error.message
+    });
+  }
+  
+  if (error.message.startsWith('Unknown problem')) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+  
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage
+  });
+};
+
+/**
+ * @route   GET /api/problem-sets
+ * @desc    Get the current user's problem sets
+ * @access  Private
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const sets = await problemSetService.getUserProblemSets(req.user.userId);
+    
+    res.json({
+      success: true,
+      data: sets
+    });
+  } catch (error) {
+    console.error('Error fetching problem sets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch problem sets'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/problem-sets
+ * @desc    Create a problem set
+ * @access  Private
+ */
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const validation = validateRequest(req.body, schemas.createProblemSet);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        errors: validation.errors
+      });
+    }
+    
+    const set = await problemSetService.createProblemSet(req.user.userId, validation.value);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Problem set created successfully',
+      data: set
+    });
+  } catch (error) {
+    console.error('Error creating problem set:', error);
+    handleProblemSetError(res, error, 'Failed to create problem set');
+  }
+});
+
+/**
+ * @route   GET /api/problem-sets/public
+ * @desc    Get public problem sets
+ * @access  Public
+ */
+router.get('/public', async (req, res) => {
+  try {
+    const sets = await problemSetService.getPublicProblemSets();
+    
+    res.json({
+      success: true,
+      data: sets
+    });
+  } catch (error) {
+    console.error('Error fetching public problem sets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch problem sets'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/problem-sets/:id
+ * @desc    Get a problem set by its share ID (private sets for their owner only)
+ * @access  Public
+ */
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const set = await problemSetService.getProblemSet(req.params.id, req.user?.userId);
+    
+    if (!set) {
+      return res.status(404).json({
+        success: false,
+        error: 'Problem set not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: set
+    });
+  } catch (error) {
+    console.error('Error fetching problem set:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch problem set'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/problem-sets/:id
+ * @desc    Update a problem set
+ * @access  Private (owner)
+ */
+router.put('/:id', authenticate, async (req, res) => {
+  try {
+    const validation = validateRequest(req.body, schemas.updateProblemSet);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        errors: validation.errors
+      });
+    }
+    
+    const set = await problemSetService.updateProblemSet(req.params.id, req.user.userId, validation.value);
+    
+    res.json({
+      success: true,
+      message: 'Problem set updated successfully',
+      data: set
+    });
+  } catch (error) {
+    console.error('Error updating problem set:', error);
+    handleProblemSetError(res, error, 'Failed to update problem set');
+  }
+});
+
+/**
+ * @route   DELETE /api/problem-sets/:id
+ * @desc    Delete a problem set
+ * @access  Private (owner)
+ */
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    await problemSetService.deleteProblemSet(req.params.id, req.user.userId);
+    
+    res.json({
+      success: true,
+      message: 'Problem set deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting problem set:', error);
+    handleProblemSetError(res, error, 'Failed to delete problem set');
+  }
+});
+
+module.exports = router;
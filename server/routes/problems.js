@@ -0,0 +1,288 @@
+const express = require('express');
+const router = express.Router();
+const problemService = require('../services/problemService');
+const problemReportService = require('../services/problemReportService');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { schemas, validateRequest } = require('../utils/validation');
+
+/**
+ * @route   GET /api/problems
+ * @desc    Browse and search the problem catalog
+ *          (?search, difficulty, topic, tag, company, premium, sort, page, limit)
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const validation = validateRequest(req.query, schemas.searchProblems);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        errors: validation.errors
+      });
+    }
+    
+    const { page, limit } = validation.value;
+    const { problems, total } = await problemService.searchProblems(validation.value);
+    
+    res.json({
+      success: true,
+      data: {
+        problems,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Problem search error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch problems'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/problems/reports
+ * @desc    Get the problem report review queue (?status, page, limit)
+ * @access  Admin
+ */
+router.get('/reports', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const validation = validateRequest(req.query, schemas.listReports);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        errors: validation.errors
+      });
+    }
+    
+    const { page, limit } = validation.value;
+    const { reports, total } = await problemReportService.getReports(validation.value);
+    
+    res.json({
+      success: true,
+      data: {
+        reports,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Problem reports error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reports'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/problems/reports/:reportId
+ * @desc    Uphold or dismiss a report
+ * @access  Admin
+ */
+router.put('/reports/:reportId', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const validation = validateRequest(req.body, schemas.reviewReport);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        errors: validation.errors
+      });
+    }
+    
+    const report = await problemReportService.reviewReport(
+      req.params.reportId,
+      req.user.userId,
+      validation.value
+    );
+    
+    res.json({
+      success: true,
+      message: `Report ${report.status}`,
+      data: report
+    });
+  } catch (error) {
+    console.error('Review report error:', error);
+    
+    if (error.message === 'Open report not found') {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to review report'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/problems/:id
+ * @desc    Get problem details
+ * @access  Public
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const problem = await problemService.getProblem(req.params.id);
+    
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        error: 'Problem not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: problem
+    });
+  } catch (error) {
+    console.error('Error fetching problem:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch problem'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/problems/:id/stats
+ * @desc    Get usage and solve statistics for a problem
+ *          (?solveTime=<seconds> adds the share of solvers that time beats)
+ * @access  Public
+ */
+router.get('/:id/stats', async (req, res) => {
+  try {
+    const { solveTime } = req.query;
+    const parsedSolveTime = solveTime !== undefined ? parseInt(solveTime) : null;
+    
+    if (parsedSolveTime !== null && (isNaN(parsedSolveTime) || parsedSolveTime < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'solveTime must be a non-negative number of seconds'
+      });
+    }
+    
+    const stats = await problemService.getProblemStats(req.params.id, parsedSolveTime);
+    
+    if (!stats) {
+      return res.status(404).json({
+        success: false,
+        error: 'Problem not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Problem stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch problem statistics'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/problems/:id/reports
+ * @desc    Report a broken or mis-tagged problem
+ * @access  Private
+ */
+router.post('/:id/reports', authenticate, async (req, res) => {
+  try {
+    const validation = validateRequest(req.body, schemas.reportProblem);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        errors: validation.errors
+      });
+    }
+    
+    const result = await problemReportService.createReport(
+      req.user.userId,
+      req.params.id,
+      validation.value
+    );
+    
+    res.status(201).json({
+      success: true,
+      message: 'Problem reported. Thanks for the heads-up!',
+      data: result
+    });
+  } catch (error) {
+    console.error('Report problem error:', error);
+    
+    if (error.message === 'Problem not found' || error.message === 'Game not found for this problem') {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    if (error.message === 'You have already reported this problem') {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to report problem'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/problems/:id/suspension
+ * @desc    Suspend a problem from selection or reinstate it
+ * @access  Admin
+ */
+router.put('/:id/suspension', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const validation = validateRequest(req.body, schemas.problemSuspension);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        errors: validation.errors
+      });
+    }
+    
+    const problem = await problemReportService.setSuspended(req.params.id, validation.value.suspended);
+    
+    res.json({
+      success: true,
+      message: problem.isSuspended ? 'Problem suspended' : 'Problem reinstated',
+      data: problem
+    });
+  } catch (error) {
+    console.error('Problem suspension error:', error);
+    
+    if (error.message === 'Problem not found') {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update problem'
+    });
+  }
+});
+
+module.exports = router;
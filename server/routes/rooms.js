@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const roomService = require('../services/roomService');
+const gameService = require('../services/gameService');
 const { authenticate } = require('../middleware/auth');
 const { schemas, validateRequest } = require('../utils/validation');
 
@@ -61,6 +62,16 @@ router.post('/', authenticate, async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating room:', error);
+    
+    if (error.message === 'Problem set not found' ||
+        error.message.startsWith('Ranked rooms') ||
+        error.message.startsWith('Your ELO')) {
+      return res.status(400).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+    
     res.status(500).json({ 
       success: false,
       error: 'Failed to create room' 
@@ -99,7 +110,7 @@ router.get('/:id', async (req, res) => {
 
 /**
  * @route   POST /api/rooms/:id/join
- * @desc    Join a room
+ * @desc    Join a room (body { spectator: true } to watch instead of play)
  * @access  Private
  */
 router.post('/:id/join', authenticate, async (req, res) => {
@@ -113,7 +124,9 @@ router.post('/:id/join', authenticate, async (req, res) => {
       });
     }
     
-    const room = await roomService.joinRoom(req.params.id, req.user.userId);
+    const room = await roomService.joinRoom(req.params.id, req.user.userId, {
+      spectator: req.body?.spectator === true
+    });
     
     res.json({ 
       success: true,
@@ -132,6 +145,9 @@ router.post('/:id/join', authenticate, async (req, res) => {
     
     if (error.message === 'Room is full' || 
         error.message === 'Already in this room' ||
+        error.message === 'Room is not accepting new players' ||
+        error.message === 'Room is not open to spectators' ||
+        error.message === 'Spectator limit reached' ||
         error.message.includes('ELO rating')) {
       return res.status(400).json({ 
         success: false,
@@ -153,6 +169,9 @@ router.post('/:id/join', authenticate, async (req, res) => {
  */
 router.delete('/:id/leave', authenticate, async (req, res) => {
   try {
+    // Leaving mid-game forfeits it
+    await gameService.forfeitIfInGame(req.params.id, req.user.userId);
+    
     const room = await roomService.leaveRoom(req.params.id, req.user.userId);
     
     res.json({ 
@@ -177,4 +196,56 @@ router.delete('/:id/leave', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route   PUT /api/rooms/:id/problem-set
+ * @desc    Attach a problem set to a room (null to detach)
+ * @access  Private (host)
+ */
+router.put('/:id/problem-set', authenticate, async (req, res) => {
+  try {
+    const validation = validateRequest(req.body, schemas.attachProblemSet);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        errors: validation.errors
+      });
+    }
+    
+    const room = await roomService.attachProblemSet(
+      req.params.id,
+      req.user.userId,
+      validation.value.problemSetId
+    );
+    
+    res.json({ 
+      success: true,
+      message: validation.value.problemSetId ? 'Problem set attached' : 'Problem set detached',
+      data: room 
+    });
+  } catch (error) {
+    console.error('Error attaching problem set:', error);
+    
+    if (error.message === 'Room not found' || error.message === 'Problem set not found') {
+      return res.status(404).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+    
+    if (error.message.startsWith('Only the host') ||
+        error.message.startsWith('Cannot change') ||
+        error.message.startsWith('Ranked rooms')) {
+      return res.status(400).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update problem set' 
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
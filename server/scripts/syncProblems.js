@@ -0,0 +1,68 @@
+// QuantRooms problem catalog sync
+// Imports a local QuantGuide catalog snapshot (JSON or CSV) into the problems table
+//
+// Usage: npm run problems:sync -- <snapshot.json|snapshot.csv> [--dry-run]
+
+require('dotenv').config();
+
+const path = require('path');
+const db = require('../database/connection');
+const problemService = require('../services/problemService');
+const { loadProblemSnapshot } = require('../utils/problemSnapshot');
+
+const printSection = (label, problems, describe = (p) => `${p.id}  ${p.title}`) => {
+  console.log(`\n${label} (${problems.length})`);
+  for (const problem of problems) {
+    console.log(`  - ${describe(problem)}`);
+  }
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const filePath = args.find(arg => !arg.startsWith('--'));
+
+  if (!filePath) {
+    console.error('Usage: npm run problems:sync -- <snapshot.json|snapshot.csv> [--dry-run]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const { problems, errors } = loadProblemSnapshot(path.resolve(filePath));
+
+  if (errors.length > 0) {
+    console.error(`❌ ${errors.length} invalid record(s) in snapshot:`);
+    for (const error of errors) {
+      const messages = error.errors.map(e => `${e.field}: ${e.message}`).join('; ');
+      console.error(`  - #${error.index}${error.id ? ` (${error.id})` : ''}: ${messages}`);
+    }
+    console.error('Fix the snapshot and try again. No changes were made.');
+    process.exitCode = 1;
+    return;
+  }
+
+  if (problems.length === 0) {
+    console.error('❌ Snapshot is empty; refusing to retire the whole catalog.');
+    process.exitCode = 1;
+    return;
+  }
+
+  const report = await problemService.syncCatalog(problems, { dryRun });
+
+  printSection('Added', report.added);
+  printSection('Changed', report.changed, p => `${p.id}  ${p.title}  [${p.fields.join(', ')}]`);
+  printSection('Reactivated', report.reactivated);
+  printSection('Retired', report.retired);
+
+  console.log(`\n${dryRun ? '🔎 Dry run' : '✅ Sync complete'}: ` +
+    `${report.added.length} added, ${report.changed.length} changed, ` +
+    `${report.reactivated.length} reactivated, ${report.retired.length} retired, ` +
+    `${report.unchanged} unchanged`);
+};
+
+main()
+  .catch((error) => {
+    console.error('❌ Problem sync failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.destroy());
@@ -23,9 +23,14 @@ const healthRouter = require('./routes/health').router;
 const authRouter = require('./routes/auth');
 const roomsRouter = require('./routes/rooms');
 const usersRouter = require('./routes/users');
+const problemsRouter = require('./routes/problems');
+const problemSetsRouter = require('./routes/problemSets');
+const gamesRouter = require('./routes/games');
 
 // Import socket handler
 const SocketHandler = require('./socket/socketHandler');
+const gameClock = require('./services/gameClock');
+const gameEventService = require('./services/gameEventService');
 
 // Import database
 const db = require('./database/connection');
@@ -66,6 +71,9 @@ app.use('/api/health', healthRouter);
 app.use('/auth', authRouter);
 app.use('/api/rooms', roomsRouter);
 app.use('/api/users', usersRouter);
+app.use('/api/problems', problemsRouter);
+app.use('/api/problem-sets', problemSetsRouter);
+app.use('/api/games', gamesRouter);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -99,7 +107,8 @@ app.get('/', (req, res) => {
         create: 'POST /api/rooms',
         details: 'GET /api/rooms/:id',
         join: 'POST /api/rooms/:id/join',
-        leave: 'DELETE /api/rooms/:id/leave'
+        leave: 'DELETE /api/rooms/:id/leave',
+        problemSet: 'PUT /api/rooms/:id/problem-set'
       },
       users: {
         profile: 'GET /api/users/profile',
@@ -108,6 +117,26 @@ app.get('/', (req, res) => {
         stats: 'GET /api/users/:id/stats',
         history: 'GET /api/users/:id/history',
         leaderboard: 'GET /api/users/leaderboard'
+      },
+      problems: {
+        list: 'GET /api/problems',
+        details: 'GET /api/problems/:id',
+        stats: 'GET /api/problems/:id/stats',
+        report: 'POST /api/problems/:id/reports',
+        reports: 'GET /api/problems/reports (admin)',
+        reviewReport: 'PUT /api/problems/reports/:reportId (admin)',
+        suspension: 'PUT /api/problems/:id/suspension (admin)'
+      },
+      problemSets: {
+        list: 'GET /api/problem-sets',
+        public: 'GET /api/problem-sets/public',
+        create: 'POST /api/problem-sets',
+        details: 'GET /api/problem-sets/:id',
+        update: 'PUT /api/problem-sets/:id',
+        delete: 'DELETE /api/problem-sets/:id'
+      },
+      games: {
+        timeline: 'GET /api/games/:id/timeline'
       }
     },
     socketEvents: {
@@ -118,8 +147,13 @@ app.get('/', (req, res) => {
         'get-rooms',
         'send-message',
         'ready',
+        'resolve-ready-check',
         'submit-solution',
-        'vote-problem'
+        'vote-problem',
+        'report-problem',
+        'assign-teams',
+        'forfeit',
+        'rematch-response'
       ],
       server: [
         'room-created',
@@ -131,7 +165,23 @@ app.get('/', (req, res) => {
         'player-left',
         'new-message',
         'error',
-        'current-room'
+        'current-room',
+        'game-resumed',
+        'game-cancelled',
+        'ready-countdown',
+        'ready-check-expired',
+        'ready-check-resolved',
+        'round-ended',
+        'wrong-attempt',
+        'teams-updated',
+        'spectator-joined',
+        'player-disconnected',
+        'player-reconnected',
+        'player-forfeited',
+        'rematch-offered',
+        'rematch-update',
+        'rematch-cancelled',
+        'problem-reported'
       ]
     },
     documentation: 'https://github.com/yourusername/quantrooms'
@@ -142,6 +192,9 @@ app.get('/', (req, res) => {
 const socketHandler = new SocketHandler(io);
 socketHandler.initialize();
 
+// Record every game's events for replays
+gameEventService.subscribeToGameEvents();
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Global error handler:', err);
@@ -190,6 +243,9 @@ app.use((req, res) => {
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully...');
   
+  // Stop pending game phase timers
+  gameClock.cancelAll();
+  
   // Close server
   server.close(() => {
     console.log('HTTP server closed');
@@ -0,0 +1,43 @@
+// Owns every game phase deadline. A room has at most one pending deadline
+// (its current phase); scheduling a new one replaces the old timer.
+class GameClock {
+  constructor() {
+    this.timers = new Map(); // roomId -> { timeout, interval }
+  }
+
+  // Run onExpire at the wall-clock deadline (immediately if already past).
+  // An optional ticker { every, onTick } is called with the time left until then
+  schedule(roomId, deadline, onExpire, ticker = null) {
+    this.cancel(roomId);
+
+    const timeout = setTimeout(() => {
+      this.cancel(roomId);
+      onExpire();
+    }, Math.max(0, deadline - Date.now()));
+
+    const interval = ticker
+      ? setInterval(() => ticker.onTick(Math.max(0, deadline - Date.now())), ticker.every)
+      : null;
+
+    this.timers.set(roomId, { timeout, interval });
+  }
+
+  // Drop the pending deadline for a room
+  cancel(roomId) {
+    const entry = this.timers.get(roomId);
+    if (entry) {
+      clearTimeout(entry.timeout);
+      clearInterval(entry.interval);
+      this.timers.delete(roomId);
+    }
+  }
+
+  // Drop every pending deadline (shutdown)
+  cancelAll() {
+    for (const roomId of this.timers.keys()) {
+      this.cancel(roomId);
+    }
+  }
+}
+
+module.exports = new GameClock();
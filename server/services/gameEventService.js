@@ -0,0 +1,181 @@
+const db = require('../database/connection');
+const gameService = require('./gameService');
+
+// Game service events recorded in the timeline, with what each keeps
+const RECORDED_EVENTS = {
+  'ready-update': ['ready', ({ userId, ready, quantguideLoggedIn }) => ({
+    userId,
+    data: { ready, quantguideLoggedIn }
+  })],
+  'ready-check-expired': ['ready_check_expired', ({ unready }) => ({
+    data: { unready }
+  })],
+  'ready-check-resolved': ['ready_check_resolved', ({ action, dropped }) => ({
+    data: { action, dropped }
+  })],
+  'voting-started': ['voting_started', (gameState) => ({
+    data: {
+      votingMode: gameState.settings.votingMode || 'plurality',
+      options: gameState.problemOptions.map(p => p.id)
+    }
+  })],
+  'vote-update': ['vote', ({ userId, ballot }) => ({
+    userId,
+    data: { ballot }
+  })],
+  'problem-selected': ['problem_selected', (gameState) => ({
+    data: {
+      problemId: gameState.currentProblem.id,
+      title: gameState.currentProblem.title,
+      endTime: gameState.endTime
+    }
+  })],
+  'player-solved': ['solve', ({ userId, position, points, solveTime, penalizedSolveTime }) => ({
+    userId,
+    data: { position, points, solveTime, penalizedSolveTime }
+  })],
+  'wrong-attempt': ['wrong_attempt', ({ userId, wrongAttempts }) => ({
+    userId,
+    data: { wrongAttempts }
+  })],
+  'player-forfeited': ['forfeit', ({ userId }) => ({
+    userId
+  })],
+  'round-ended': ['round_ended', ({ standings }) => ({
+    data: { standings }
+  })],
+  'game-ended': ['game_ended', ({ standings, eloChanges }) => ({
+    data: { standings, eloChanges }
+  })],
+  'game-cancelled': ['game_cancelled', ({ reason }) => ({
+    data: { reason }
+  })]
+};
+
+class GameEventService {
+  /**
+   * Log game service events as they happen. Events are emitted in step with
+   * the game, so each is stamped before anything is awaited.
+   */
+  subscribeToGameEvents() {
+    for (const [event, [eventType, describe]] of Object.entries(RECORDED_EVENTS)) {
+      gameService.on(event, (roomId, payload) => {
+        // Finished and cancelled games have already left the active games
+        const gameState = gameService.getGameState(roomId) || payload.gameState;
+        if (!gameState) return;
+
+        const { userId = null, data = {} } = describe(payload);
+        this.record(gameState, eventType, userId, data);
+      });
+    }
+  }
+
+  /**
+   * Log chat sent in a room while its game is running
+   */
+  recordChat(roomId, userId, message) {
+    const gameState = gameService.getGameState(roomId);
+    if (!gameState || gameState.status === 'finished') return;
+
+    return this.record(gameState, 'chat', userId, { message });
+  }
+
+  /**
+   * Append an event to a game's timeline. Failures are logged, never thrown:
+   * the game carries on without its record.
+   */
+  async record(gameState, eventType, userId = null, data = {}) {
+    const occurredAt = new Date();
+
+    try {
+      await db('game_events').insert({
+        game_id: gameState.gameId,
+        user_id: userId,
+        round_number: gameState.round,
+        event_type: eventType,
+        data: JSON.stringify(data),
+        occurred_at: occurredAt
+      });
+    } catch (error) {
+      console.error(`Error recording ${eventType} event:`, error);
+    }
+  }
+
+  /**
+   * Get a game's events in the order they happened, timed from the game's
+   * start. A running game is only visible to its room, with ballots hidden
+   * until it is over; chat is only shown to the game's players.
+   */
+  async getTimeline(gameId, userId) {
+    const game = await db('games')
+      .where({ game_id: gameId })
+      .select(['game_id', 'room_id', 'status', 'participants', 'start_time', 'end_time', 'total_rounds', 'is_ranked'])
+      .first();
+
+    if (!game) {
+      throw new Error('Game not found');
+    }
+
+    const participants = typeof game.participants === 'string' ? JSON.parse(game.participants) : (game.participants || []);
+    const isPlayer = participants.some(p => p.user_id === userId);
+    const isOver = game.status === 'finished' || game.status === 'cancelled';
+
+    if (!isOver && !isPlayer) {
+      const inRoom = await db('room_participants')
+        .where({ room_id: game.room_id, user_id: userId })
+        .first();
+
+      if (!inRoom) {
+        throw new Error('Only players and spectators can view a running game');
+      }
+    }
+
+    const query = db('game_events as ge')
+      .leftJoin('users as u', 'ge.user_id', 'u.user_id')
+      .where({ 'ge.game_id': gameId });
+
+    // Chat is between the players
+    if (!isPlayer) {
+      query.whereNot({ 'ge.event_type': 'chat' });
+    }
+
+    const events = await query
+      .orderBy([
+        { column: 'ge.occurred_at', order: 'asc' },
+        { column: 'ge.event_id', order: 'asc' }
+      ])
+      .select([
+        'ge.event_id',
+        'ge.event_type',
+        'ge.user_id',
+        'u.username',
+        'ge.round_number',
+        'ge.data',
+        'ge.occurred_at'
+      ]);
+
+    const startTime = new Date(game.start_time).getTime();
+
+    return {
+      gameId: game.game_id,
+      roomId: game.room_id,
+      status: game.status,
+      ranked: game.is_ranked,
+      totalRounds: game.total_rounds,
+      startTime: game.start_time,
+      endTime: game.end_time,
+      events: events.map(event => ({
+        eventId: parseInt(event.event_id),
+        type: event.event_type,
+        userId: event.user_id,
+        username: event.username,
+        round: event.round_number,
+        occurredAt: event.occurred_at,
+        elapsed: new Date(event.occurred_at).getTime() - startTime, // ms since the game started
+        data: event.event_type === 'vote' && !isOver ? {} : event.data
+      }))
+    };
+  }
+}
+
+module.exports = new GameEventService();
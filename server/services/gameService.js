@@ -1,15 +1,45 @@
+const EventEmitter = require('events');
 const db = require('../database/connection');
 const { v4: uuidv4 } = require('uuid');
+const gameClock = require('./gameClock');
+const problemService = require('./problemService');
+const problemSetService = require('./problemSetService');
+const { K_FACTOR, expectedScore } = require('../utils/elo');
+const { getScoringStrategy } = require('../utils/scoring');
+const { getVotingMode } = require('../utils/voting');
 
-class GameService {
+// Emits every phase transition with the room it happened in so the socket
+// layer can broadcast it: ready-update, ready-countdown, ready-check-expired,
+// ready-check-resolved, voting-started, vote-update, problem-selected,
+// player-solved, game-ended, game-cancelled, rematch-offered, rematch-update,
+// rematch-started, rematch-cancelled
+class GameService extends EventEmitter {
   constructor() {
+    super();
     this.activeGames = new Map(); // roomId -> GameState
+    this.rematchOffers = new Map(); // roomId -> RematchOffer for the game that just ended
+    // Defaults for rooms whose settings don't set their own durations
+    this.READY_CHECK_DURATION = 2 * 60 * 1000; // 2 minutes to ready up
     this.GAME_DURATION = 15 * 60 * 1000; // 15 minutes max per problem
     this.VOTING_DURATION = 30 * 1000; // 30 seconds for voting
+    this.READY_DECISION_DURATION = 60 * 1000; // Host's time to cancel or continue after the ready window
+    this.READY_COUNTDOWN_INTERVAL = 10 * 1000; // How often the ready countdown is broadcast
+    this.REMATCH_DURATION = 60 * 1000; // Time to accept a rematch after a game
+    this.RANKED_MIN_PLAYERS = 3;
   }
 
-  // Start a new game for a room
-  async startGame(roomId, creatorId) {
+  // Phase durations in ms from room settings (given in seconds)
+  getPhaseDurations(settings = {}) {
+    return {
+      readyCheck: settings.readyCheckWindow ? settings.readyCheckWindow * 1000 : this.READY_CHECK_DURATION,
+      voting: settings.votingWindow ? settings.votingWindow * 1000 : this.VOTING_DURATION,
+      solve: settings.solveTimeLimit ? settings.solveTimeLimit * 1000 : this.GAME_DURATION
+    };
+  }
+
+  // Start a new game for a room. Rematches ({ seriesId, userIds }) are started
+  // by the game service for the players who accepted, already readied up
+  async startGame(roomId, creatorId, rematch = null) {
     try {
       // Get room details with participants
       const room = await db('rooms')
@@ -20,50 +50,109 @@ class GameService {
         throw new Error('Room not found');
       }
       
-      if (room.creator_id !== creatorId) {
+      if (!rematch && room.creator_id !== creatorId) {
         throw new Error('Only room creator can start the game');
       }
       
-      // Get all participants
-      const participants = await db('room_participants as rp')
+      // Get all participants (spectators only watch)
+      let participants = await db('room_participants as rp')
         .join('users as u', 'rp.user_id', 'u.user_id')
-        .where('rp.room_id', roomId)
+        .where({ 'rp.room_id': roomId, 'rp.is_spectator': false })
         .select([
           'u.user_id',
           'u.username',
-          'u.elo_rating'
+          'u.elo_rating',
+          'rp.team'
         ]);
       
+      if (rematch) {
+        participants = participants.filter(p => rematch.userIds.includes(p.user_id));
+      }
+      
       if (participants.length < 2) {
         throw new Error('Need at least 2 players to start');
       }
       
+      if (room.is_ranked && participants.length < this.RANKED_MIN_PLAYERS) {
+        throw new Error(`Ranked games need at least ${this.RANKED_MIN_PLAYERS} players`);
+      }
+      
+      const settings = typeof room.settings === 'string' ? JSON.parse(room.settings) : (room.settings || {});
+      
+      // Team games split players into teams up front
+      const teams = settings.teamMode ? this.buildTeams(participants, settings.teamMode) : null;
+      
+      // Rooms with a problem set play its next problem instead of voting
+      let problemSet = null;
+      if (room.problem_set_id) {
+        const next = await problemSetService.getNextProblem(room.problem_set_id, room.problem_set_position);
+        
+        if (!next) {
+          throw new Error('Problem set completed. Attach another set or detach it to keep playing');
+        }
+        
+        problemSet = {
+          setId: room.problem_set_id,
+          position: next.position,
+          total: next.total,
+          problem: next.problem
+        };
+      }
+      
       // Create game record
       const gameId = uuidv4();
       const gameState = {
         gameId,
         roomId,
-        status: 'waiting_for_ready', // waiting_for_ready -> voting -> playing -> finished
+        difficulty: room.difficulty,
+        ranked: Boolean(room.is_ranked),
+        seriesId: rematch ? rematch.seriesId : null,
+        settings,
+        problemSet,
+        // waiting_for_ready [-> ready_expired] -> (voting -> playing -> round_over) per round -> finished
+        status: 'waiting_for_ready',
+        round: 1,
+        totalRounds: settings.rounds || 1,
+        rounds: [], // Summaries of completed rounds
+        teams,
         participants: participants.map(p => ({
           userId: p.user_id,
           username: p.username,
           elo: p.elo_rating,
-          ready: false,
-          quantguideLoggedIn: false,
+          team: teams ? teams.find(t => t.members.includes(p.user_id)).teamId : null,
+          // Rematch players proved both in the game before
+          ready: Boolean(rematch),
+          quantguideLoggedIn: Boolean(rematch),
+          // Current round
           solved: false,
           solveTime: null,
+          penalizedSolveTime: null,
           points: 0,
-          position: null
+          position: null,
+          wrongAttempts: 0,
+          // Whole match
+          totalPoints: 0,
+          roundsSolved: 0,
+          totalSolveTime: 0, // Penalized, as solves are ranked
+          totalWrongAttempts: 0,
+          forfeited: false,
+          finalPosition: null
         })),
         votingRound: 1,
         problemOptions: [],
         votes: {},
+        votingHostId: null,
         currentProblem: null,
         startTime: null,
         endTime: null,
+        readyEndTime: Date.now() + this.getPhaseDurations(settings).readyCheck,
+        readyDecisionEndTime: null,
         votingEndTime: null
       };
       
+      // A new game replaces any rematch still on offer
+      this.rematchOffers.delete(roomId);
+      
       // Store in memory
       this.activeGames.set(roomId, gameState);
       
@@ -82,9 +171,14 @@ class GameService {
         room_id: roomId,
         participants: JSON.stringify(participants),
         start_time: db.fn.now(),
-        status: 'waiting_for_ready'
+        status: 'waiting_for_ready',
+        total_rounds: gameState.totalRounds,
+        is_ranked: gameState.ranked,
+        series_id: gameState.seriesId
       });
       
+      this.schedulePhase(gameState);
+      
       return gameState;
     } catch (error) {
       console.error('Error starting game:', error);
@@ -92,82 +186,366 @@ class GameService {
     }
   }
 
+  // Split players into teams: host assignments, or a snake draft by Elo
+  buildTeams(participants, { teamCount = 2, assignment = 'auto' }) {
+    if (participants.length < teamCount) {
+      throw new Error(`Need at least ${teamCount} players for ${teamCount} teams`);
+    }
+    
+    const teamOf = new Map(); // userId -> teamId
+    
+    if (assignment === 'manual') {
+      for (const p of participants) {
+        if (!p.team || p.team > teamCount) {
+          throw new Error('Every player must be assigned to a team');
+        }
+        teamOf.set(p.user_id, p.team);
+      }
+    } else {
+      // 1, 2, ..., n, n, ..., 2, 1, 1, 2, ... down the Elo ladder
+      const byElo = [...participants].sort((a, b) => b.elo_rating - a.elo_rating);
+      byElo.forEach((p, index) => {
+        const slot = index % teamCount;
+        const forward = Math.floor(index / teamCount) % 2 === 0;
+        teamOf.set(p.user_id, (forward ? slot : teamCount - 1 - slot) + 1);
+      });
+    }
+    
+    const teams = [];
+    for (let teamId = 1; teamId <= teamCount; teamId++) {
+      const members = participants.filter(p => teamOf.get(p.user_id) === teamId);
+      
+      if (members.length === 0) {
+        throw new Error(`Team ${teamId} has no players`);
+      }
+      
+      teams.push({
+        teamId,
+        name: `Team ${teamId}`,
+        members: members.map(m => m.user_id),
+        elo: Math.round(members.reduce((sum, m) => sum + m.elo_rating, 0) / members.length),
+        roundPoints: 0,
+        totalPoints: 0,
+        roundsSolved: 0,
+        totalSolveTime: 0,
+        finalPosition: null
+      });
+    }
+    
+    return teams;
+  }
+
   // Update player ready status and QuantGuide login status
   async updatePlayerReady(roomId, userId, ready, quantguideLoggedIn) {
     const gameState = this.activeGames.get(roomId);
-    if (!gameState || gameState.status !== 'waiting_for_ready') {
+    // Players can still ready up while the host decides what to do about them
+    if (!gameState || !this.isReadyCheck(gameState)) {
       throw new Error('Game not in ready check phase');
     }
     
-    const participant = gameState.participants.find(p => p.userId === userId);
-    if (!participant) {
-      throw new Error('Player not in game');
-    }
+    const participant = this.getCompetingParticipant(gameState, userId);
     
     participant.ready = ready;
     participant.quantguideLoggedIn = quantguideLoggedIn;
     
     // Check if all players are ready and logged in
-    const allReady = gameState.participants.every(p => p.ready && p.quantguideLoggedIn);
+    const remaining = this.getActiveParticipants(gameState);
+    const allReady = remaining.every(p => p.ready && p.quantguideLoggedIn);
+    const minPlayers = gameState.ranked ? this.RANKED_MIN_PLAYERS : 2;
     
-    if (allReady && gameState.participants.length >= 2) {
-      // Move to voting phase
-      gameState.status = 'voting';
-      gameState.votingEndTime = Date.now() + this.VOTING_DURATION;
-      
-      // Get random problems for voting
-      gameState.problemOptions = await this.getRandomProblems(5, 'Medium'); // TODO: Use room difficulty
-    }
-    
-    return {
+    const result = {
       gameState,
       allReady,
-      readyCount: gameState.participants.filter(p => p.ready && p.quantguideLoggedIn).length
+      readyCount: remaining.filter(p => p.ready && p.quantguideLoggedIn).length
     };
+    
+    if (allReady && remaining.length >= minPlayers) {
+      this.emit('ready-update', roomId, { userId, ready, quantguideLoggedIn, ...result });
+      await this.startRound(gameState);
+    } else {
+      await this.persistGameState(gameState);
+      this.emit('ready-update', roomId, { userId, ready, quantguideLoggedIn, ...result });
+    }
+    
+    return result;
+  }
+
+  // Ready check is running, or has run out and awaits the host's decision
+  isReadyCheck(gameState) {
+    return gameState.status === 'waiting_for_ready' || gameState.status === 'ready_expired';
+  }
+
+  // Players still holding up the ready check
+  getUnreadyParticipants(gameState) {
+    return this.getActiveParticipants(gameState).filter(p => !(p.ready && p.quantguideLoggedIn));
+  }
+
+  // Broadcast who the room is still waiting on and how long they have left
+  emitReadyCountdown(gameState, msLeft) {
+    this.emit('ready-countdown', gameState.roomId, {
+      readyEndTime: gameState.readyEndTime,
+      secondsLeft: Math.ceil(msLeft / 1000),
+      waitingOn: this.getUnreadyParticipants(gameState).map(p => ({
+        userId: p.userId,
+        username: p.username,
+        ready: p.ready,
+        quantguideLoggedIn: p.quantguideLoggedIn
+      }))
+    });
+  }
+
+  // The ready window ran out: hand the room's host the choice between
+  // cancelling and continuing without the unready players
+  async expireReadyCheck(gameState) {
+    const unready = this.getUnreadyParticipants(gameState);
+    const readyCount = this.getActiveParticipants(gameState).length - unready.length;
+    const minPlayers = gameState.ranked ? this.RANKED_MIN_PLAYERS : 2;
+    
+    gameState.status = 'ready_expired';
+    gameState.readyDecisionEndTime = Date.now() + this.READY_DECISION_DURATION;
+    
+    this.schedulePhase(gameState);
+    await this.persistGameState(gameState);
+    
+    this.emit('ready-check-expired', gameState.roomId, {
+      unready: unready.map(p => ({ userId: p.userId, username: p.username })),
+      readyCount,
+      canContinue: readyCount >= minPlayers,
+      decisionEndTime: gameState.readyDecisionEndTime
+    });
+    
+    return gameState;
+  }
+
+  // Host's answer to an expired ready check: 'cancel' the game, or 'continue'
+  // with only the players who are ready
+  async resolveReadyCheck(roomId, userId, action) {
+    const gameState = this.activeGames.get(roomId);
+    if (!gameState || gameState.status !== 'ready_expired') {
+      throw new Error('Ready check has not expired');
+    }
+    
+    const room = await db('rooms')
+      .where({ room_id: roomId })
+      .select('current_host_id')
+      .first();
+    
+    if (!room || room.current_host_id !== userId) {
+      throw new Error('Only the host can decide how to proceed');
+    }
+    
+    if (action === 'cancel') {
+      return await this.cancelGame(roomId, 'Cancelled by the host after the ready check expired');
+    }
+    
+    if (action !== 'continue') {
+      throw new Error('Action must be cancel or continue');
+    }
+    
+    const dropped = this.getUnreadyParticipants(gameState);
+    const kept = gameState.participants.filter(p => !dropped.includes(p));
+    const readyCount = kept.filter(p => !p.forfeited).length;
+    
+    if (readyCount < 2) {
+      throw new Error('Need at least 2 ready players to continue');
+    }
+    
+    if (gameState.ranked && readyCount < this.RANKED_MIN_PLAYERS) {
+      throw new Error(`Ranked games need at least ${this.RANKED_MIN_PLAYERS} players`);
+    }
+    
+    // Teams keep their remaining members and are re-rated on them
+    if (gameState.teams) {
+      for (const team of gameState.teams) {
+        const members = kept.filter(p => p.team === team.teamId);
+        
+        if (members.length === 0) {
+          throw new Error(`${team.name} has no ready players`);
+        }
+        
+        team.members = members.map(m => m.userId);
+        team.elo = Math.round(members.reduce((sum, m) => sum + m.elo, 0) / members.length);
+      }
+    }
+    
+    // Dropped players stay in the room but take no part in the game
+    gameState.participants = kept;
+    
+    await db('games')
+      .where({ game_id: gameState.gameId })
+      .update({
+        participants: JSON.stringify(kept.map(p => ({
+          user_id: p.userId,
+          username: p.username,
+          elo_rating: p.elo,
+          team: p.team
+        })))
+      });
+    
+    this.emit('ready-check-resolved', roomId, {
+      action,
+      dropped: dropped.map(p => ({ userId: p.userId, username: p.username }))
+    });
+    
+    await this.startRound(gameState);
+    
+    return { gameState, dropped };
   }
 
-  // Get random problems for voting
-  async getRandomProblems(count, difficulty) {
-    // For now, return mock problems
-    // TODO: Integrate with actual problem database or QuantGuide API
-    const mockProblems = [
-      { id: 'option-pricing', title: 'Option Pricing Model', difficulty: 'Medium', url: 'https://quantguide.io/problems/option-pricing' },
-      { id: 'portfolio-optimization', title: 'Portfolio Optimization', difficulty: 'Medium', url: 'https://quantguide.io/problems/portfolio-optimization' },
-      { id: 'risk-calculation', title: 'Risk Calculation', difficulty: 'Medium', url: 'https://quantguide.io/problems/risk-calculation' },
-      { id: 'monte-carlo', title: 'Monte Carlo Simulation', difficulty: 'Medium', url: 'https://quantguide.io/problems/monte-carlo' },
-      { id: 'black-scholes', title: 'Black-Scholes Formula', difficulty: 'Medium', url: 'https://quantguide.io/problems/black-scholes' }
-    ];
+  // Open the current round: problem set rooms play their next problem, others vote
+  async startRound(gameState) {
+    if (gameState.problemSet) {
+      // Problem sets are played in order, so skip voting
+      return await this.startPlaying(gameState, gameState.problemSet.problem);
+    }
+    
+    const votingMode = getVotingMode(gameState.settings.votingMode);
+    
+    // Rooms without a vote play a random draw straight away
+    if (votingMode.skipsVoting) {
+      const [problem] = await this.getRandomProblems(1, this.buildProblemFilters(gameState));
+      
+      if (!problem) {
+        throw new Error('No problems available');
+      }
+      
+      return await this.startPlaying(gameState, problem);
+    }
+    
+    // Get random problems for voting
+    const problemOptions = await this.getRandomProblems(5, this.buildProblemFilters(gameState));
+    
+    if (problemOptions.length === 0) {
+      throw new Error('No problems available for voting');
+    }
+    
+    // The host at the start of voting makes the pick
+    if (gameState.settings.votingMode === 'host_pick') {
+      const room = await db('rooms')
+        .where({ room_id: gameState.roomId })
+        .select('current_host_id')
+        .first();
+      
+      gameState.votingHostId = room.current_host_id;
+    }
+    
+    // Move to voting phase
+    gameState.status = 'voting';
+    gameState.votingEndTime = Date.now() + this.getPhaseDurations(gameState.settings).voting;
+    gameState.problemOptions = problemOptions;
+    gameState.votes = {};
+    
+    await this.persistGameState(gameState);
+    
+    this.schedulePhase(gameState);
+    this.emit('voting-started', gameState.roomId, gameState);
     
-    return mockProblems.slice(0, count);
+    return gameState;
+  }
+
+  // Get random problems for voting from the problem catalog
+  async getRandomProblems(count, filters) {
+    return await problemService.getRandomProblems(count, filters);
+  }
+
+  // Build problem pool filters from room difficulty (or rating window) and settings
+  buildProblemFilters(gameState) {
+    const {
+      problemFilter = {},
+      repeatPolicy = 'exclude_seen',
+      problemSelection = 'difficulty',
+      ratingWindow = 200
+    } = gameState.settings;
+    
+    const filters = { ...problemFilter };
+    
+    if (problemSelection === 'rating') {
+      // Draw from problems rated near the room's average player Elo
+      const totalElo = gameState.participants.reduce((sum, p) => sum + p.elo, 0);
+      filters.ratingTarget = Math.round(totalElo / gameState.participants.length);
+      filters.ratingWindow = ratingWindow;
+    } else {
+      filters.difficulty = gameState.difficulty;
+    }
+    
+    if (repeatPolicy !== 'allow_repeats') {
+      filters.excludePlayedBy = gameState.participants.map(p => p.userId);
+      filters.excludeSolvedOnly = repeatPolicy === 'exclude_solved';
+    }
+    
+    // Never offer a problem twice in the same match
+    filters.excludeIds = gameState.rounds.map(r => r.problem.id);
+    
+    return filters;
   }
 
   // Submit vote for problem
-  async submitVote(roomId, userId, problemId) {
+  // The ballot is a problem ID, or an ordered list of them for ranked choice
+  async submitVote(roomId, userId, ballot) {
     const gameState = this.activeGames.get(roomId);
     if (!gameState || gameState.status !== 'voting') {
       throw new Error('Not in voting phase');
     }
     
-    // Verify problem is in options
-    const validProblem = gameState.problemOptions.some(p => p.id === problemId);
-    if (!validProblem) {
-      throw new Error('Invalid problem selection');
+    const votingMode = getVotingMode(gameState.settings.votingMode);
+    const voters = this.getVoters(gameState);
+    
+    if (!voters.includes(userId)) {
+      if (gameState.settings.votingMode === 'host_pick') {
+        throw new Error('Only the host picks the problem');
+      }
+      this.getCompetingParticipant(gameState, userId);
     }
     
-    gameState.votes[userId] = problemId;
+    gameState.votes[userId] = votingMode.castBallot({
+      ballot,
+      userId,
+      votes: gameState.votes,
+      options: gameState.problemOptions,
+      voters
+    });
     
-    // Check if all players voted
-    const allVoted = gameState.participants.every(p => gameState.votes[p.userId]);
+    const allVoted = this.isVotingComplete(gameState);
     
-    if (allVoted) {
-      await this.selectProblemAndStart(roomId);
+    if (!allVoted) {
+      await this.persistGameState(gameState);
     }
     
-    return {
+    const result = {
+      votingMode: gameState.settings.votingMode || 'plurality',
       votesCount: Object.keys(gameState.votes).length,
-      totalPlayers: gameState.participants.length,
+      totalPlayers: voters.length,
+      // Aggregate only: ballots stay private
+      results: votingMode.tally({ votes: gameState.votes, options: gameState.problemOptions, voters }),
       allVoted
     };
+    
+    // The voter and ballot are for the game's event log, not the room
+    this.emit('vote-update', roomId, { ...result, userId, ballot });
+    
+    if (allVoted) {
+      await this.selectProblemAndStart(roomId);
+    }
+    
+    return result;
+  }
+
+  // User IDs allowed to vote this round
+  getVoters(gameState) {
+    if (gameState.settings.votingMode === 'host_pick') {
+      return [gameState.votingHostId];
+    }
+    
+    return this.getActiveParticipants(gameState).map(p => p.userId);
+  }
+
+  // Whether voting can close before the window runs out
+  isVotingComplete(gameState) {
+    return getVotingMode(gameState.settings.votingMode).isComplete({
+      votes: gameState.votes,
+      options: gameState.problemOptions,
+      voters: this.getVoters(gameState)
+    });
   }
 
   // Select problem based on votes and start game
@@ -175,47 +553,186 @@ class GameService {
     const gameState = this.activeGames.get(roomId);
     if (!gameState) return;
     
-    // Count votes
-    const voteCounts = {};
-    for (const problemId of Object.values(gameState.votes)) {
-      voteCounts[problemId] = (voteCounts[problemId] || 0) + 1;
-    }
-    
-    // Find problem with most votes (random tiebreaker)
-    let maxVotes = 0;
-    let winners = [];
+    // Resolve the ballots with the room's voting mode (random tiebreaker)
+    let winners = getVotingMode(gameState.settings.votingMode).pick({
+      votes: gameState.votes,
+      options: gameState.problemOptions
+    });
     
-    for (const [problemId, count] of Object.entries(voteCounts)) {
-      if (count > maxVotes) {
-        maxVotes = count;
-        winners = [problemId];
-      } else if (count === maxVotes) {
-        winners.push(problemId);
-      }
+    // Nobody voted: every option is tied
+    if (winners.length === 0) {
+      winners = gameState.problemOptions.map(p => p.id);
     }
     
     // Random selection from winners
     const selectedProblemId = winners[Math.floor(Math.random() * winners.length)];
     const selectedProblem = gameState.problemOptions.find(p => p.id === selectedProblemId);
     
-    // Start game
+    return await this.startPlaying(gameState, selectedProblem);
+  }
+
+  // Move a game into the solve phase on the given problem
+  async startPlaying(gameState, problem) {
     gameState.status = 'playing';
-    gameState.currentProblem = selectedProblem;
+    gameState.currentProblem = problem;
     gameState.startTime = Date.now();
-    gameState.endTime = Date.now() + this.GAME_DURATION;
+    gameState.endTime = Date.now() + this.getPhaseDurations(gameState.settings).solve;
+    gameState.roundId = uuidv4();
     
     // Update database
     await db('games')
       .where({ game_id: gameState.gameId })
       .update({
-        problem_id: selectedProblem.id,
-        status: 'playing',
-        game_started_at: db.fn.now()
+        problem_id: problem.id,
+        status: 'playing'
       });
     
+    await db('game_rounds').insert({
+      round_id: gameState.roundId,
+      game_id: gameState.gameId,
+      round_number: gameState.round,
+      problem_id: problem.id,
+      status: 'playing',
+      start_time: new Date(gameState.startTime)
+    });
+    
+    await this.persistGameState(gameState, {
+      current_problem_id: problem.id,
+      game_started_at: new Date(gameState.startTime),
+      game_ends_at: new Date(gameState.endTime)
+    });
+    
+    this.schedulePhase(gameState);
+    this.emit('problem-selected', gameState.roomId, gameState);
+    
     return gameState;
   }
 
+  // Write the in-memory game state to its room so a restart can recover it
+  async persistGameState(gameState, roomUpdates = {}) {
+    await db('rooms')
+      .where({ room_id: gameState.roomId })
+      .update({
+        ...roomUpdates,
+        game_state: JSON.stringify(gameState),
+        updated_at: db.fn.now()
+      });
+  }
+
+  // Reload games that were running when the server stopped
+  async recoverActiveGames() {
+    const rooms = await db('rooms')
+      .where({ status: 'in_game' })
+      .select(['room_id', 'game_state']);
+    
+    const recovered = [];
+    
+    for (const room of rooms) {
+      const gameState = typeof room.game_state === 'string' ? JSON.parse(room.game_state) : room.game_state;
+      
+      // Nothing usable was persisted: release the room
+      if (!gameState || !gameState.gameId || gameState.status === 'finished') {
+        await db('rooms')
+          .where({ room_id: room.room_id })
+          .update({
+            status: 'waiting',
+            game_state: null,
+            updated_at: db.fn.now()
+          });
+        continue;
+      }
+      
+      this.activeGames.set(room.room_id, gameState);
+      recovered.push(gameState);
+      
+      // Restore the phase timer against its original wall-clock deadline
+      this.schedulePhase(gameState);
+    }
+    
+    return recovered;
+  }
+
+  // Wall-clock deadline of the current phase, if it has one
+  getPhaseDeadline(gameState) {
+    if (gameState.status === 'waiting_for_ready') return gameState.readyEndTime;
+    if (gameState.status === 'ready_expired') return gameState.readyDecisionEndTime;
+    if (gameState.status === 'voting') return gameState.votingEndTime;
+    if (gameState.status === 'playing') return gameState.endTime;
+    return null;
+  }
+
+  // Hand the current phase deadline to the game clock
+  schedulePhase(gameState) {
+    const deadline = this.getPhaseDeadline(gameState);
+    if (!deadline) {
+      gameClock.cancel(gameState.roomId);
+      return;
+    }
+    
+    const { roomId, gameId, status } = gameState;
+    
+    // Keep reminding the room who it is waiting on while players ready up
+    const ticker = status === 'waiting_for_ready'
+      ? { every: this.READY_COUNTDOWN_INTERVAL, onTick: (msLeft) => this.emitReadyCountdown(gameState, msLeft) }
+      : null;
+    
+    gameClock.schedule(roomId, deadline, () => this.handlePhaseTimeout(roomId, gameId, status), ticker);
+  }
+
+  // Move a game on when its phase deadline passes
+  async handlePhaseTimeout(roomId, gameId, phase) {
+    const gameState = this.activeGames.get(roomId);
+    
+    // The phase already ended some other way
+    if (!gameState || gameState.gameId !== gameId || gameState.status !== phase) {
+      return;
+    }
+    
+    try {
+      if (phase === 'waiting_for_ready') {
+        await this.expireReadyCheck(gameState);
+      } else if (phase === 'ready_expired') {
+        await this.cancelGame(roomId, 'Not every player was ready in time');
+      } else if (phase === 'voting') {
+        // Force select problem with current votes
+        await this.selectProblemAndStart(roomId);
+      } else if (phase === 'playing') {
+        await this.endRound(roomId);
+      }
+    } catch (error) {
+      console.error(`Error handling ${phase} timeout in room ${roomId}:`, error);
+    }
+  }
+
+  // Abandon a game that never got going and release its room
+  async cancelGame(roomId, reason) {
+    const gameState = this.activeGames.get(roomId);
+    if (!gameState) return;
+    
+    gameClock.cancel(roomId);
+    this.activeGames.delete(roomId);
+    gameState.status = 'cancelled';
+    
+    await db('games')
+      .where({ game_id: gameState.gameId })
+      .update({
+        end_time: db.fn.now(),
+        status: 'cancelled'
+      });
+    
+    await db('rooms')
+      .where({ room_id: roomId })
+      .update({
+        status: 'waiting',
+        game_state: null,
+        updated_at: db.fn.now()
+      });
+    
+    this.emit('game-cancelled', roomId, { gameState, reason });
+    
+    return { gameState, reason };
+  }
+
   // Submit solution attempt
   async submitSolution(roomId, userId, solved) {
     const gameState = this.activeGames.get(roomId);
@@ -223,32 +740,63 @@ class GameService {
       throw new Error('Game not in progress');
     }
     
-    const participant = gameState.participants.find(p => p.userId === userId);
-    if (!participant || participant.solved) {
+    const participant = this.getCompetingParticipant(gameState, userId);
+    
+    if (participant.solved) {
       return { alreadySolved: true };
     }
     
     participant.solved = solved;
     
+    const penalty = gameState.settings.wrongAttemptPenalty || { type: 'none', amount: 0 };
+    
+    if (!solved) {
+      participant.wrongAttempts += 1;
+      participant.totalWrongAttempts += 1;
+      
+      this.emit('wrong-attempt', roomId, {
+        userId,
+        username: participant.username,
+        wrongAttempts: participant.wrongAttempts,
+        penalty
+      });
+    }
+    
     if (solved) {
       participant.solveTime = Date.now() - gameState.startTime;
       
-      // Calculate position
-      const solvedCount = gameState.participants.filter(p => p.solved).length;
-      participant.position = solvedCount;
+      // Time penalties rank the solve as if it took longer; the real time is
+      // kept for problem stats
+      participant.penalizedSolveTime = participant.solveTime +
+        (penalty.type === 'time' ? participant.wrongAttempts * penalty.amount * 1000 : 0);
       
-      // Calculate points using exponential decay
-      participant.points = Math.floor(1000 * Math.pow(0.8, solvedCount - 1));
+      // Provisional position among the solves so far; endRound re-ranks once
+      // every solve is in, as a later solve can overtake a penalized one
+      participant.position = 1 + gameState.participants.filter(p => p !== participant && p.solved &&
+        p.penalizedSolveTime <= participant.penalizedSolveTime).length;
       
-      // Check if game should end (all players solved or time up)
-      const allSolved = gameState.participants.every(p => p.solved);
+      this.scoreSolve(gameState, participant);
+      
+      this.emit('player-solved', roomId, {
+        userId,
+        username: participant.username,
+        team: participant.team,
+        position: participant.position,
+        points: participant.points,
+        solveTime: participant.solveTime,
+        penalizedSolveTime: participant.penalizedSolveTime
+      });
+      
+      // Check if round should end (nothing left to solve or time up)
       const timeUp = Date.now() >= gameState.endTime;
       
-      if (allSolved || timeUp) {
-        return await this.endGame(roomId);
+      if (this.isRoundComplete(gameState) || timeUp) {
+        return await this.endRound(roomId);
       }
     }
     
+    await this.persistGameState(gameState);
+    
     return {
       gameState,
       participant: {
@@ -256,34 +804,371 @@ class GameService {
         solved: participant.solved,
         position: participant.position,
         points: participant.points,
-        solveTime: participant.solveTime
+        solveTime: participant.solveTime,
+        penalizedSolveTime: participant.penalizedSolveTime,
+        wrongAttempts: participant.wrongAttempts
+      }
+    };
+  }
+
+  // Points for a solve at its position, with the room's scoring strategy and
+  // any points penalty for wrong attempts
+  scoreSolve(gameState, participant) {
+    const penalty = gameState.settings.wrongAttemptPenalty || { type: 'none', amount: 0 };
+    const score = getScoringStrategy(gameState.settings.scoring);
+    
+    participant.points = score({
+      position: participant.position,
+      solveTime: participant.penalizedSolveTime,
+      timeLimit: gameState.endTime - gameState.startTime
+    });
+    
+    if (penalty.type === 'points') {
+      participant.points = Math.max(0, participant.points - participant.wrongAttempts * penalty.amount);
+    }
+  }
+
+  // Everyone still in has solved, or with first-solve teams every team has
+  isRoundComplete(gameState) {
+    if (gameState.teams && gameState.settings.teamMode.scoring === 'first_solve') {
+      return gameState.teams.every(team => {
+        const members = gameState.participants.filter(p => p.team === team.teamId);
+        return members.some(p => p.solved) || members.every(p => p.forfeited);
+      });
+    }
+    
+    return gameState.participants.every(p => p.solved || p.forfeited);
+  }
+
+  // Players who played the round's problem out: a forfeit, or a first-solve
+  // teammate who stopped once their team solved, didn't lose to it
+  getProblemOpponents(gameState) {
+    const firstSolveOnly = gameState.teams && gameState.settings.teamMode.scoring === 'first_solve';
+    const solvedTeams = new Set(gameState.participants.filter(p => p.solved).map(p => p.team));
+    
+    return gameState.participants.filter(p => {
+      if (p.solved) return true;
+      if (p.forfeited) return false;
+      return !(firstSolveOnly && solvedTeams.has(p.team));
+    });
+  }
+
+  // Players who haven't forfeited
+  getActiveParticipants(gameState) {
+    return gameState.participants.filter(p => !p.forfeited);
+  }
+
+  // Look up a player who can still act in the game
+  getCompetingParticipant(gameState, userId) {
+    const participant = gameState.participants.find(p => p.userId === userId);
+    if (!participant) {
+      throw new Error('Player not in game');
+    }
+    
+    if (participant.forfeited) {
+      throw new Error('You have forfeited this game');
+    }
+    
+    return participant;
+  }
+
+  // Withdraw a player from the game: they finish last, and the game moves on
+  // as soon as everyone still in has readied, voted or solved
+  async forfeit(roomId, userId) {
+    const gameState = this.activeGames.get(roomId);
+    if (!gameState || gameState.status === 'finished') {
+      throw new Error('No game in progress');
+    }
+    
+    const participant = gameState.participants.find(p => p.userId === userId);
+    if (!participant) {
+      throw new Error('Player not in game');
+    }
+    
+    if (participant.forfeited) {
+      return { alreadyForfeited: true };
+    }
+    
+    participant.forfeited = true;
+    
+    this.emit('player-forfeited', roomId, {
+      userId,
+      username: participant.username
+    });
+    
+    const remaining = this.getActiveParticipants(gameState);
+    
+    if (this.isReadyCheck(gameState)) {
+      const minPlayers = gameState.ranked ? this.RANKED_MIN_PLAYERS : 2;
+      
+      // Nothing has been played yet, so there is nothing to rate
+      if (remaining.length < minPlayers) {
+        return await this.cancelGame(roomId, 'Not enough players left');
+      }
+      
+      if (remaining.every(p => p.ready && p.quantguideLoggedIn)) {
+        await this.startRound(gameState);
+        return { gameState };
+      }
+    } else if (gameState.status === 'voting') {
+      // Settle only a match that has played a round; otherwise there is nothing to rate
+      if (remaining.length < 2) {
+        return gameState.rounds.length === 0
+          ? await this.cancelGame(roomId, 'Not enough players left')
+          : await this.endGame(roomId);
+      }
+      
+      if (this.isVotingComplete(gameState)) {
+        await this.selectProblemAndStart(roomId);
+        return { gameState };
+      }
+    } else if (gameState.status === 'playing') {
+      if (remaining.length < 2 || this.isRoundComplete(gameState)) {
+        return await this.endRound(roomId);
+      }
+    }
+    
+    await this.persistGameState(gameState);
+    
+    return { gameState };
+  }
+
+  // Leaving a room with a running game counts as forfeiting it
+  async forfeitIfInGame(roomId, userId) {
+    const gameState = this.activeGames.get(roomId);
+    const participant = gameState && gameState.participants.find(p => p.userId === userId);
+    
+    if (!participant || participant.forfeited || gameState.status === 'finished') {
+      return;
+    }
+    
+    try {
+      await this.forfeit(roomId, userId);
+    } catch (error) {
+      console.error('Error forfeiting departing player:', error);
+    }
+  }
+
+  // Close the current round, then open the next one or settle the match
+  async endRound(roomId) {
+    const gameState = this.activeGames.get(roomId);
+    if (!gameState || gameState.status !== 'playing') return;
+    
+    gameClock.cancel(roomId);
+    gameState.status = 'round_over';
+    
+    // Rank solves by penalized time now that they are all in, and rescore them
+    const solvers = gameState.participants
+      .filter(p => p.solved)
+      .sort((a, b) => (a.penalizedSolveTime - b.penalizedSolveTime) || (a.solveTime - b.solveTime));
+    solvers.forEach((participant, index) => {
+      participant.position = index + 1;
+      this.scoreSolve(gameState, participant);
+    });
+    
+    // Assign positions to unsolved players, forfeits last
+    let nextPosition = solvers.length + 1;
+    const unsolved = gameState.participants
+      .filter(p => !p.solved)
+      .sort((a, b) => Number(a.forfeited) - Number(b.forfeited));
+    for (const participant of unsolved) {
+      participant.position = nextPosition++;
+      participant.points = 0;
+    }
+    
+    // Carry the round into match totals
+    for (const participant of gameState.participants) {
+      participant.totalPoints += participant.points;
+      if (participant.solved) {
+        participant.roundsSolved += 1;
+        participant.totalSolveTime += participant.penalizedSolveTime;
       }
+    }
+    
+    if (gameState.teams) {
+      this.scoreTeamsForRound(gameState);
+    }
+    
+    await this.saveRoundResults(gameState);
+    
+    const summary = {
+      round: gameState.round,
+      problem: gameState.currentProblem,
+      startTime: gameState.startTime,
+      endTime: Date.now(),
+      results: gameState.participants.map(p => ({
+        userId: p.userId,
+        username: p.username,
+        solved: p.solved,
+        solveTime: p.solveTime,
+        penalizedSolveTime: p.penalizedSolveTime,
+        points: p.points,
+        position: p.position,
+        wrongAttempts: p.wrongAttempts,
+        forfeited: p.forfeited
+      })),
+      teamResults: gameState.teams && gameState.teams.map(t => ({
+        teamId: t.teamId,
+        name: t.name,
+        points: t.roundPoints
+      }))
     };
+    gameState.rounds.push(summary);
+    
+    this.emit('round-ended', roomId, {
+      round: summary,
+      totalRounds: gameState.totalRounds,
+      standings: this.getStandings(gameState),
+      teamStandings: gameState.teams && this.getTeamStandings(gameState)
+    });
+    
+    const canContinue = gameState.round < gameState.totalRounds &&
+      this.getActiveParticipants(gameState).length >= 2;
+    
+    if (canContinue && await this.advanceRound(gameState)) {
+      try {
+        await this.startRound(gameState);
+        return { gameState, round: summary };
+      } catch (error) {
+        // Settle the match on the rounds already played
+        console.error('Error starting next round:', error);
+      }
+    }
+    
+    return await this.endGame(roomId);
+  }
+
+  // Reset per-round state for the next round; false if there is nothing left to play
+  async advanceRound(gameState) {
+    if (gameState.problemSet) {
+      const next = await problemSetService.getNextProblem(gameState.problemSet.setId, gameState.problemSet.position + 1);
+      
+      if (!next) {
+        return false;
+      }
+      
+      gameState.problemSet = {
+        ...gameState.problemSet,
+        position: next.position,
+        total: next.total,
+        problem: next.problem
+      };
+    }
+    
+    gameState.round += 1;
+    gameState.currentProblem = null;
+    gameState.problemOptions = [];
+    gameState.votes = {};
+    
+    for (const participant of gameState.participants) {
+      participant.solved = false;
+      participant.solveTime = null;
+      participant.penalizedSolveTime = null;
+      participant.points = 0;
+      participant.position = null;
+      participant.wrongAttempts = 0;
+    }
+    
+    return true;
   }
 
-  // End the game and calculate results
+  // Match standings: forfeits last, then most points, most rounds solved, least total solve time
+  getStandings(gameState) {
+    return [...gameState.participants]
+      .sort((a, b) => (Number(a.forfeited) - Number(b.forfeited)) ||
+        (b.totalPoints - a.totalPoints) ||
+        (b.roundsSolved - a.roundsSolved) ||
+        (a.totalSolveTime - b.totalSolveTime))
+      .map((p, index) => ({
+        userId: p.userId,
+        username: p.username,
+        totalPoints: p.totalPoints,
+        roundsSolved: p.roundsSolved,
+        forfeited: p.forfeited,
+        position: index + 1
+      }));
+  }
+
+  // Add each team's round score: every member's points, or only its best solve
+  scoreTeamsForRound(gameState) {
+    const firstSolveOnly = gameState.settings.teamMode.scoring === 'first_solve';
+    
+    for (const team of gameState.teams) {
+      const solvers = gameState.participants.filter(p => p.team === team.teamId && p.solved);
+      const points = solvers.map(p => p.points);
+      
+      team.roundPoints = firstSolveOnly
+        ? Math.max(0, ...points)
+        : points.reduce((sum, value) => sum + value, 0);
+      team.totalPoints += team.roundPoints;
+      
+      if (solvers.length > 0) {
+        team.roundsSolved += 1;
+        team.totalSolveTime += Math.min(...solvers.map(p => p.penalizedSolveTime));
+      }
+    }
+  }
+
+  // Team standings, ranked like individual standings; a team forfeits when all its members have
+  getTeamStandings(gameState) {
+    const forfeited = (team) => gameState.participants
+      .filter(p => p.team === team.teamId)
+      .every(p => p.forfeited);
+    
+    return [...gameState.teams]
+      .sort((a, b) => (Number(forfeited(a)) - Number(forfeited(b))) ||
+        (b.totalPoints - a.totalPoints) ||
+        (b.roundsSolved - a.roundsSolved) ||
+        (a.totalSolveTime - b.totalSolveTime))
+      .map((t, index) => ({
+        teamId: t.teamId,
+        name: t.name,
+        members: t.members,
+        totalPoints: t.totalPoints,
+        roundsSolved: t.roundsSolved,
+        position: index + 1
+      }));
+  }
+
+  // End the match and settle Elo on the final standings
   async endGame(roomId) {
     const gameState = this.activeGames.get(roomId);
-    if (!gameState) return;
+    if (!gameState || gameState.status === 'finished') return;
     
+    gameClock.cancel(roomId);
     gameState.status = 'finished';
     gameState.endTime = Date.now();
     
-    // Assign positions to unsolved players
-    let nextPosition = gameState.participants.filter(p => p.solved).length + 1;
-    for (const participant of gameState.participants) {
-      if (!participant.solved) {
-        participant.position = nextPosition++;
-        participant.points = 0;
+    const standings = this.getStandings(gameState);
+    const teamStandings = gameState.teams && this.getTeamStandings(gameState);
+    
+    if (teamStandings) {
+      // Members share their team's final position
+      for (const standing of teamStandings) {
+        gameState.teams.find(t => t.teamId === standing.teamId).finalPosition = standing.position;
+        for (const participant of gameState.participants.filter(p => p.team === standing.teamId)) {
+          participant.finalPosition = standing.position;
+        }
+      }
+    } else {
+      for (const standing of standings) {
+        gameState.participants.find(p => p.userId === standing.userId).finalPosition = standing.position;
       }
     }
     
-    // Sort participants by position
+    // Sort participants by final position
     const sortedParticipants = [...gameState.participants]
-      .sort((a, b) => a.position - b.position);
+      .sort((a, b) => a.finalPosition - b.finalPosition);
     
-    // Calculate ELO changes
-    const eloChanges = this.calculateEloChanges(sortedParticipants);
+    // Calculate ELO changes; casual games are recorded without moving Elo
+    let eloChanges;
+    if (!gameState.ranked) {
+      eloChanges = Object.fromEntries(sortedParticipants.map(p => [p.userId, 0]));
+    } else if (gameState.teams) {
+      eloChanges = this.calculateTeamEloChanges(gameState.teams);
+    } else {
+      eloChanges = this.calculateEloChanges(sortedParticipants);
+    }
     
     // Update database
     await this.saveGameResults(gameState, eloChanges);
@@ -291,25 +1176,214 @@ class GameService {
     // Clean up
     this.activeGames.delete(roomId);
     
-    // Update room status
+    // Update room status, advancing past the problem set item just played
     await db('rooms')
       .where({ room_id: roomId })
       .update({
         status: 'waiting',
         game_state: null,
+        ...(gameState.problemSet && { problem_set_position: gameState.problemSet.position + 1 }),
         updated_at: db.fn.now()
       });
     
-    return {
+    const result = {
       gameState,
       eloChanges,
-      winner: sortedParticipants[0]
+      ranked: gameState.ranked,
+      standings,
+      teamStandings,
+      winner: sortedParticipants[0],
+      series: gameState.seriesId ? await this.getSeriesStandings(gameState.seriesId) : null
+    };
+    
+    this.emit('game-ended', roomId, result);
+    
+    this.offerRematch(gameState);
+    
+    return result;
+  }
+
+  // Give the players who finished a game the chance to play again together
+  offerRematch(gameState) {
+    const eligible = this.getActiveParticipants(gameState).map(p => p.userId);
+    const minPlayers = gameState.ranked ? this.RANKED_MIN_PLAYERS : 2;
+    if (eligible.length < minPlayers) return;
+    
+    const { roomId, gameId } = gameState;
+    const offer = {
+      gameId,
+      seriesId: gameState.seriesId,
+      minPlayers,
+      eligible,
+      accepted: [],
+      declined: [],
+      deadline: Date.now() + this.REMATCH_DURATION
+    };
+    
+    this.rematchOffers.set(roomId, offer);
+    gameClock.schedule(roomId, offer.deadline, () => this.handleRematchTimeout(roomId, gameId));
+    
+    this.emit('rematch-offered', roomId, this.describeRematch(offer));
+  }
+
+  // Accepts a rematch needs: a majority of the last game's players, and never
+  // fewer than the game needs to start
+  getRematchQuorum(offer) {
+    return Math.max(offer.minPlayers, Math.floor(offer.eligible.length / 2) + 1);
+  }
+
+  // Public view of a rematch offer: counts only
+  describeRematch(offer) {
+    return {
+      gameId: offer.gameId,
+      deadline: offer.deadline,
+      eligible: offer.eligible.length,
+      accepted: offer.accepted.length,
+      declined: offer.declined.length,
+      needed: this.getRematchQuorum(offer)
+    };
+  }
+
+  // Accept or decline the rematch. It starts as soon as everyone accepts, or
+  // once everyone has answered and a majority accepted
+  async respondToRematch(roomId, userId, accept) {
+    const offer = this.rematchOffers.get(roomId);
+    if (!offer) {
+      throw new Error('No rematch on offer');
+    }
+    
+    if (!offer.eligible.includes(userId)) {
+      throw new Error('Only players from the last game can answer the rematch');
+    }
+    
+    offer.accepted = offer.accepted.filter(id => id !== userId);
+    offer.declined = offer.declined.filter(id => id !== userId);
+    (accept ? offer.accepted : offer.declined).push(userId);
+    
+    this.emit('rematch-update', roomId, this.describeRematch(offer));
+    
+    const undecided = offer.eligible.length - offer.accepted.length - offer.declined.length;
+    
+    if (offer.accepted.length + undecided < this.getRematchQuorum(offer)) {
+      return this.cancelRematch(roomId, 'Not enough players want a rematch');
+    }
+    
+    if (undecided === 0) {
+      return await this.startRematch(roomId);
+    }
+    
+    return this.describeRematch(offer);
+  }
+
+  // The offer ran out: play on with a majority, otherwise drop it
+  async handleRematchTimeout(roomId, gameId) {
+    const offer = this.rematchOffers.get(roomId);
+    if (!offer || offer.gameId !== gameId) return;
+    
+    if (offer.accepted.length < this.getRematchQuorum(offer)) {
+      this.cancelRematch(roomId, 'Rematch offer expired');
+      return;
+    }
+    
+    try {
+      await this.startRematch(roomId);
+    } catch (error) {
+      console.error(`Error starting rematch in room ${roomId}:`, error);
+    }
+  }
+
+  // Withdraw a rematch offer
+  cancelRematch(roomId, reason) {
+    this.rematchOffers.delete(roomId);
+    gameClock.cancel(roomId);
+    
+    this.emit('rematch-cancelled', roomId, { reason });
+    
+    return { cancelled: true, reason };
+  }
+
+  // Start the next game of the series with the players who accepted, skipping
+  // the ready check. A rematch that can't start is called off for the whole room
+  async startRematch(roomId) {
+    const offer = this.rematchOffers.get(roomId);
+    this.rematchOffers.delete(roomId);
+    gameClock.cancel(roomId);
+    
+    let gameState;
+    try {
+      gameState = await this.startGame(roomId, null, { seriesId: offer.seriesId, userIds: offer.accepted });
+    } catch (error) {
+      return this.cancelRematch(roomId, error.message);
+    }
+    
+    // The new game already holds the room, so a failure from here on
+    // cancels it rather than just the offer
+    try {
+      // The first rematch turns the game it follows into a series
+      if (!gameState.seriesId) {
+        gameState.seriesId = await this.createSeries(roomId, [offer.gameId, gameState.gameId]);
+      }
+      
+      const series = await this.getSeriesStandings(gameState.seriesId);
+      
+      this.emit('rematch-started', roomId, { gameState, series });
+      
+      await this.startRound(gameState);
+      
+      return { gameState, series };
+    } catch (error) {
+      return await this.cancelGame(roomId, error.message);
+    }
+  }
+
+  // Open a series made up of the given games
+  async createSeries(roomId, gameIds) {
+    const [series] = await db('game_series')
+      .insert({ room_id: roomId })
+      .returning('*');
+    
+    await db('games')
+      .whereIn('game_id', gameIds)
+      .update({ series_id: series.series_id });
+    
+    return series.series_id;
+  }
+
+  // Games won per player across a series, most wins first
+  async getSeriesStandings(seriesId) {
+    const rows = await db('games as g')
+      .join('game_participants as gp', 'g.game_id', 'gp.game_id')
+      .join('users as u', 'gp.user_id', 'u.user_id')
+      .where({ 'g.series_id': seriesId, 'g.status': 'finished' })
+      .groupBy('gp.user_id', 'u.username')
+      .select([
+        'gp.user_id',
+        'u.username',
+        db.raw('COUNT(*) FILTER (WHERE gp.final_position = 1)::int as wins'),
+        db.raw('COUNT(*)::int as games_played')
+      ]);
+    
+    const gamesPlayed = await db('games')
+      .where({ series_id: seriesId, status: 'finished' })
+      .count('* as count')
+      .first();
+    
+    return {
+      seriesId,
+      gamesPlayed: parseInt(gamesPlayed.count),
+      standings: rows
+        .map(row => ({
+          userId: row.user_id,
+          username: row.username,
+          wins: row.wins,
+          gamesPlayed: row.games_played
+        }))
+        .sort((a, b) => b.wins - a.wins)
     };
   }
 
   // Calculate ELO changes using the Elo rating system
   calculateEloChanges(participants) {
-    const K = 32; // K-factor
     const changes = {};
     
     for (let i = 0; i < participants.length; i++) {
@@ -322,14 +1396,11 @@ class GameService {
         
         const opponent = participants[j];
         
-        // Expected score calculation
-        const expectedScore = 1 / (1 + Math.pow(10, (opponent.elo - player.elo) / 400));
-        
         // Actual score: 1 if player ranked higher, 0 otherwise
-        const actualScore = player.position < opponent.position ? 1 : 0;
+        const actualScore = player.finalPosition < opponent.finalPosition ? 1 : 0;
         
         // ELO change for this matchup
-        totalChange += K * (actualScore - expectedScore);
+        totalChange += K_FACTOR * (actualScore - expectedScore(player.elo, opponent.elo));
       }
       
       // Average the change over number of opponents
@@ -339,47 +1410,143 @@ class GameService {
     return changes;
   }
 
-  // Save game results to database
+  // Rate teams against each other on their average Elo; members share the team's change
+  calculateTeamEloChanges(teams) {
+    const teamChanges = this.calculateEloChanges(teams.map(t => ({
+      userId: t.teamId,
+      elo: t.elo,
+      finalPosition: t.finalPosition
+    })));
+    
+    const changes = {};
+    for (const team of teams) {
+      for (const userId of team.members) {
+        changes[userId] = teamChanges[team.teamId];
+      }
+    }
+    
+    return changes;
+  }
+
+  // Save one round's results and update the played problem's aggregates
+  async saveRoundResults(gameState) {
+    const trx = await db.transaction();
+    
+    try {
+      const round = await trx('game_rounds')
+        .where({ round_id: gameState.roundId })
+        .forUpdate()
+        .first();
+      
+      // Already saved: a restart re-ran the end of a round that was recorded
+      // before the game state moved on
+      if (round && round.status === 'finished') {
+        await trx.commit();
+        return;
+      }
+      
+      await trx('game_rounds')
+        .where({ round_id: gameState.roundId })
+        .update({
+          status: 'finished',
+          end_time: db.fn.now()
+        });
+      
+      for (const participant of gameState.participants) {
+        await trx('game_round_participants').insert({
+          round_id: gameState.roundId,
+          user_id: participant.userId,
+          solved: participant.solved,
+          solve_time: participant.solved ? Math.floor(participant.solveTime / 1000) : null,
+          penalized_solve_time: participant.solved ? Math.floor(participant.penalizedSolveTime / 1000) : null,
+          points_earned: participant.points,
+          position: participant.position,
+          wrong_attempts: participant.wrongAttempts
+        });
+      }
+      
+      // Update problem usage and solve-rate aggregates
+      await problemService.recordRoundResults(trx, gameState.currentProblem.id, this.getProblemOpponents(gameState));
+      
+      await trx.commit();
+    } catch (error) {
+      await trx.rollback();
+      console.error('Error saving round results:', error);
+      throw error;
+    }
+  }
+
+  // Save match results to database
   async saveGameResults(gameState, eloChanges) {
     const trx = await db.transaction();
+    const matchStartTime = gameState.rounds.length > 0 ? gameState.rounds[0].startTime : (gameState.startTime || Date.now());
     
     try {
+      const game = await trx('games')
+        .where({ game_id: gameState.gameId })
+        .forUpdate()
+        .first();
+      
+      // Already saved: a restart re-ran the end of a game that was recorded
+      // before its room was released
+      if (game && game.status === 'finished') {
+        await trx.commit();
+        return;
+      }
+      
       // Update game record
       await trx('games')
         .where({ game_id: gameState.gameId })
         .update({
           end_time: db.fn.now(),
           status: 'finished',
-          winner_id: gameState.participants.find(p => p.position === 1)?.userId,
+          winner_id: gameState.participants.find(p => p.finalPosition === 1)?.userId,
+          teams: gameState.teams && JSON.stringify(gameState.teams.map(t => ({
+            teamId: t.teamId,
+            name: t.name,
+            members: t.members,
+            points: t.totalPoints,
+            position: t.finalPosition,
+            eloChange: eloChanges[t.members[0]]
+          }))),
           final_scores: JSON.stringify(gameState.participants.map(p => ({
             userId: p.userId,
             username: p.username,
-            position: p.position,
-            points: p.points,
-            solveTime: p.solveTime,
+            team: p.team,
+            position: p.finalPosition,
+            points: p.totalPoints,
+            roundsSolved: p.roundsSolved,
+            solveTime: p.totalSolveTime,
+            wrongAttempts: p.totalWrongAttempts,
+            forfeited: p.forfeited,
             eloChange: eloChanges[p.userId]
           })))
         });
       
-      // Insert game participant records
+      // Insert game participant records with match totals
       for (const participant of gameState.participants) {
+        const solvedAny = participant.roundsSolved > 0;
+        
         await trx('game_participants').insert({
           game_id: gameState.gameId,
           user_id: participant.userId,
-          start_time: new Date(gameState.startTime),
-          end_time: participant.solved ? new Date(gameState.startTime + participant.solveTime) : null,
-          solved: participant.solved,
-          solve_time: participant.solved ? Math.floor(participant.solveTime / 1000) : null,
-          points_earned: participant.points,
-          final_position: participant.position,
-          elo_change: eloChanges[participant.userId]
+          start_time: new Date(matchStartTime),
+          end_time: solvedAny ? new Date(gameState.endTime) : null,
+          solved: solvedAny,
+          solve_time: solvedAny ? Math.floor(participant.totalSolveTime / 1000) : null,
+          points_earned: participant.totalPoints,
+          final_position: participant.finalPosition,
+          elo_change: eloChanges[participant.userId],
+          wrong_attempts: participant.totalWrongAttempts,
+          team: participant.team,
+          forfeited: participant.forfeited
         });
       }
       
       // Update user statistics
       for (const participant of gameState.participants) {
         const eloChange = eloChanges[participant.userId];
-        const isWinner = participant.position === 1;
+        const isWinner = participant.finalPosition === 1;
         
         await trx('users')
           .where({ user_id: participant.userId })
@@ -387,7 +1554,7 @@ class GameService {
             elo_rating: eloChange,
             games_played: 1,
             total_wins: isWinner ? 1 : 0,
-            total_points: participant.points
+            total_points: participant.totalPoints
           })
           .update({
             last_active: db.fn.now()
@@ -407,27 +1574,20 @@ class GameService {
     return this.activeGames.get(roomId);
   }
 
-  // Check if game should timeout
-  async checkGameTimeout(roomId) {
-    const gameState = this.activeGames.get(roomId);
-    if (!gameState) return;
-    
-    const now = Date.now();
+  // Game state as sent to clients: ballots are replaced by the anonymous tally
+  toPublicState(gameState) {
+    const votingMode = getVotingMode(gameState.settings.votingMode);
     
-    // Check voting timeout
-    if (gameState.status === 'voting' && now >= gameState.votingEndTime) {
-      // Force select problem with current votes
-      await this.selectProblemAndStart(roomId);
-      return true;
-    }
-    
-    // Check game timeout
-    if (gameState.status === 'playing' && now >= gameState.endTime) {
-      await this.endGame(roomId);
-      return true;
-    }
-    
-    return false;
+    return {
+      ...gameState,
+      votes: votingMode.tally
+        ? votingMode.tally({
+          votes: gameState.votes,
+          options: gameState.problemOptions,
+          voters: this.getVoters(gameState)
+        })
+        : {}
+    };
   }
 }
 
@@ -0,0 +1,184 @@
+const db = require('../database/connection');
+
+// Independent open reports needed before a problem is pulled from vote selection
+const SUSPEND_THRESHOLD = parseInt(process.env.PROBLEM_REPORT_SUSPEND_THRESHOLD) || 3;
+
+class ProblemReportService {
+  /**
+   * File a report against a problem. Suspends the problem from selection
+   * once enough distinct players have open reports on it.
+   */
+  async createReport(userId, quantguideId, { reason, comment = null, gameId = null }) {
+    const trx = await db.transaction();
+
+    try {
+      const problem = await trx('problems')
+        .where({ quantguide_id: quantguideId })
+        .forUpdate()
+        .first();
+
+      if (!problem) {
+        throw new Error('Problem not found');
+      }
+
+      if (gameId) {
+        const game = await trx('games')
+          .where({ game_id: gameId, problem_id: quantguideId })
+          .first();
+
+        if (!game) {
+          throw new Error('Game not found for this problem');
+        }
+      }
+
+      const existingReport = await trx('problem_reports')
+        .where({ problem_id: problem.problem_id, reporter_id: userId, status: 'open' })
+        .first();
+
+      if (existingReport) {
+        throw new Error('You have already reported this problem');
+      }
+
+      const [report] = await trx('problem_reports')
+        .insert({
+          problem_id: problem.problem_id,
+          game_id: gameId,
+          reporter_id: userId,
+          reason,
+          comment: comment || null
+        })
+        .returning('*');
+
+      const [{ count }] = await trx('problem_reports')
+        .where({ problem_id: problem.problem_id, status: 'open' })
+        .countDistinct('reporter_id as count');
+
+      let suspended = problem.is_suspended;
+      if (!suspended && parseInt(count) >= SUSPEND_THRESHOLD) {
+        await trx('problems')
+          .where({ problem_id: problem.problem_id })
+          .update({
+            is_suspended: true,
+            suspended_at: trx.fn.now()
+          });
+        suspended = true;
+
+        console.log(`Problem ${quantguideId} suspended after ${count} reports`);
+      }
+
+      await trx.commit();
+
+      return {
+        report: this.formatReport({ ...report, quantguide_id: quantguideId, title: problem.title }),
+        openReports: parseInt(count),
+        suspended
+      };
+    } catch (error) {
+      await trx.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Get the review queue, newest first
+   */
+  async getReports({ status = 'open', page = 1, limit = 50 } = {}) {
+    try {
+      const query = db('problem_reports as pr')
+        .join('problems as p', 'pr.problem_id', 'p.problem_id')
+        .leftJoin('users as u', 'pr.reporter_id', 'u.user_id')
+        .where({ 'pr.status': status });
+
+      const [{ count }] = await query.clone().count('* as count');
+
+      const reports = await query
+        .orderBy('pr.created_at', 'desc')
+        .limit(limit)
+        .offset((page - 1) * limit)
+        .select([
+          'pr.*',
+          'p.quantguide_id',
+          'p.title',
+          'p.is_suspended',
+          'u.username as reporter_name'
+        ]);
+
+      return {
+        reports: reports.map(report => this.formatReport(report)),
+        total: parseInt(count)
+      };
+    } catch (error) {
+      console.error('Get reports error:', error);
+      throw new Error('Failed to get reports');
+    }
+  }
+
+  /**
+   * Close a report as upheld or dismissed
+   */
+  async reviewReport(reportId, adminId, { status, note = null }) {
+    const [report] = await db('problem_reports')
+      .where({ report_id: reportId, status: 'open' })
+      .update({
+        status,
+        review_note: note || null,
+        reviewed_by: adminId,
+        reviewed_at: db.fn.now()
+      })
+      .returning('*');
+
+    if (!report) {
+      throw new Error('Open report not found');
+    }
+
+    return this.formatReport(report);
+  }
+
+  /**
+   * Manually suspend or reinstate a problem
+   */
+  async setSuspended(quantguideId, suspended) {
+    const [problem] = await db('problems')
+      .where({ quantguide_id: quantguideId })
+      .update({
+        is_suspended: suspended,
+        suspended_at: suspended ? db.fn.now() : null
+      })
+      .returning(['quantguide_id', 'title', 'is_suspended', 'suspended_at']);
+
+    if (!problem) {
+      throw new Error('Problem not found');
+    }
+
+    return {
+      problemId: problem.quantguide_id,
+      title: problem.title,
+      isSuspended: problem.is_suspended,
+      suspendedAt: problem.suspended_at
+    };
+  }
+
+  /**
+   * Transform a problem_reports row into the API shape
+   */
+  formatReport(report) {
+    return {
+      reportId: report.report_id,
+      problemId: report.quantguide_id,
+      problemTitle: report.title,
+      problemSuspended: report.is_suspended,
+      gameId: report.game_id,
+      reporterId: report.reporter_id,
+      reporterName: report.reporter_name,
+      reason: report.reason,
+      comment: report.comment,
+      status: report.status,
+      reviewedBy: report.reviewed_by,
+      reviewedAt: report.reviewed_at,
+      reviewNote: report.review_note,
+      createdAt: report.created_at
+    };
+  }
+}
+
+module.exports = new ProblemReportService();
@@ -0,0 +1,514 @@
+const db = require('../database/connection');
+const { K_FACTOR, expectedScore } = require('../utils/elo');
+
+const QUANTGUIDE_BASE_URL = 'https://quantguide.io';
+const MIXED_DIFFICULTIES = ['easy', 'medium', 'hard'];
+const INITIAL_RATINGS = { easy: 1000, medium: 1200, hard: 1400 };
+const MAX_RATING_WINDOW_WIDENINGS = 3;
+
+// Fisher-Yates shuffle into a new array
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+class ProblemService {
+  /**
+   * Get a random sample of active problems.
+   * A 'Mixed' difficulty guarantees at least one Easy, Medium and Hard
+   * option (when count allows) and fills the rest from any level.
+   */
+  async getRandomProblems(count, filters = {}) {
+    try {
+      const { difficulty, ...rest } = filters;
+
+      if (rest.ratingTarget !== undefined) {
+        return await this.getProblemsNearRating(count, rest);
+      }
+
+      if (difficulty === 'Mixed') {
+        return await this.getMixedProblems(count, rest);
+      }
+
+      const problems = await this.buildProblemQuery({ ...rest, difficulty })
+        .orderByRaw('RANDOM()')
+        .limit(count);
+
+      return problems.map(problem => this.formatProblem(problem));
+    } catch (error) {
+      console.error('Get random problems error:', error);
+      throw new Error('Failed to get problems');
+    }
+  }
+
+  /**
+   * Draw one problem per difficulty level, then fill up from the whole pool
+   */
+  async getMixedProblems(count, filters = {}) {
+    const picked = [];
+
+    // Fewer than three options can't cover every level, so pick which ones at random
+    for (const difficulty of shuffle(MIXED_DIFFICULTIES).slice(0, count)) {
+      const problem = await this.buildProblemQuery({ ...filters, difficulty })
+        .orderByRaw('RANDOM()')
+        .first();
+
+      if (problem) {
+        picked.push(problem);
+      }
+    }
+
+    if (picked.length < count) {
+      const rest = await this.buildProblemQuery(filters)
+        .whereNotIn('problems.problem_id', picked.map(p => p.problem_id))
+        .orderByRaw('RANDOM()')
+        .limit(count - picked.length);
+
+      picked.push(...rest);
+    }
+
+    // Shuffle so the guaranteed picks don't always lead in Easy/Medium/Hard order
+    return shuffle(picked).map(problem => this.formatProblem(problem));
+  }
+
+  /**
+   * Draw problems rated within a window around a target rating, doubling
+   * the window a few times when the pool is too thin
+   */
+  async getProblemsNearRating(count, filters = {}) {
+    const { ratingTarget, ratingWindow = 200, ...rest } = filters;
+    let window = ratingWindow;
+    let problems = [];
+
+    for (let attempt = 0; attempt <= MAX_RATING_WINDOW_WIDENINGS; attempt++) {
+      problems = await this.buildProblemQuery(rest)
+        .whereBetween('problems.rating', [ratingTarget - window, ratingTarget + window])
+        .orderByRaw('RANDOM()')
+        .limit(count);
+
+      if (problems.length >= count) break;
+      window *= 2;
+    }
+
+    return problems.map(problem => this.formatProblem(problem));
+  }
+
+  /**
+   * Base query for active problems matching the given filters.
+   * Values within topics/tags/companies are OR'ed; the lists are AND'ed.
+   */
+  buildProblemQuery(filters = {}) {
+    const {
+      difficulty,
+      topics = [],
+      tags = [],
+      companies = [],
+      excludePremium = false,
+      excludePlayedBy = [],
+      excludeSolvedOnly = false,
+      excludeIds = []
+    } = filters;
+
+    const query = db('problems').where({ 'problems.is_active': true, 'problems.is_suspended': false });
+
+    if (difficulty) {
+      query.where({ 'problems.difficulty': difficulty.toLowerCase() });
+    }
+
+    if (topics.length > 0) {
+      query.whereIn(db.raw('lower(problems.topic)'), topics.map(t => t.toLowerCase()));
+    }
+
+    if (tags.length > 0) {
+      this.whereJsonListContains(query, 'tags', 'tag', tags);
+    }
+
+    if (companies.length > 0) {
+      this.whereJsonListContains(query, 'companies', 'company', companies);
+    }
+
+    if (excludePremium) {
+      query.where({ 'problems.is_premium': false });
+    }
+
+    if (excludePlayedBy.length > 0) {
+      this.whereNotPlayedBy(query, excludePlayedBy, excludeSolvedOnly);
+    }
+
+    if (excludeIds.length > 0) {
+      query.whereNotIn('problems.quantguide_id', excludeIds);
+    }
+
+    return query;
+  }
+
+  /**
+   * Restrict to problems none of the users has played (or solved) in a past round
+   */
+  whereNotPlayedBy(query, userIds, solvedOnly = false) {
+    query.whereNotExists(function() {
+      this.select(db.raw('1'))
+        .from('game_rounds as gr')
+        .join('game_round_participants as grp', 'grp.round_id', 'gr.round_id')
+        .whereRaw('gr.problem_id = problems.quantguide_id')
+        .whereIn('grp.user_id', userIds);
+
+      if (solvedOnly) {
+        this.where('grp.solved', true);
+      }
+    });
+  }
+
+  /**
+   * Restrict to problems whose JSONB [{key: value}] column contains any of the values
+   */
+  whereJsonListContains(query, column, key, values) {
+    query.whereExists(function() {
+      this.select(db.raw('1'))
+        .from(db.raw(`jsonb_array_elements(problems.${column}) as item`))
+        .whereIn(db.raw(`lower(item->>'${key}')`), values.map(v => v.toLowerCase()));
+    });
+  }
+
+  /**
+   * Search and browse the active catalog with filters, sorting and paging
+   */
+  async searchProblems(params) {
+    try {
+      const { search, difficulty, topic, tag, company, premium, sort, page, limit } = params;
+
+      const query = this.buildProblemQuery({
+        difficulty,
+        topics: topic ? [topic] : [],
+        tags: tag ? [tag] : [],
+        companies: company ? [company] : []
+      });
+
+      if (premium !== undefined) {
+        query.where({ 'problems.is_premium': premium });
+      }
+
+      if (search) {
+        // Full-text match on whole words, with a substring fallback for partial words
+        query.where(function() {
+          this.whereRaw("to_tsvector('english', problems.title) @@ plainto_tsquery('english', ?)", [search])
+            .orWhere('problems.title', 'ilike', `%${search.replace(/[%_\\]/g, '\\$&')}%`);
+        });
+      }
+
+      const [{ count }] = await query.clone().count('* as count');
+
+      switch (sort) {
+        case 'popularity':
+          query.orderBy('problems.times_used', 'desc');
+          break;
+        case 'solveRate':
+          query.orderByRaw('problems.times_solved::float / NULLIF(problems.times_attempted, 0) DESC NULLS LAST');
+          break;
+        case 'rating':
+          query.orderBy('problems.rating', 'desc');
+          break;
+        default:
+          break;
+      }
+
+      const problems = await query
+        .orderBy('problems.title', 'asc')
+        .limit(limit)
+        .offset((page - 1) * limit);
+
+      return {
+        problems: problems.map(problem => ({
+          ...this.formatProblem(problem),
+          timesUsed: problem.times_used,
+          solveRate: problem.times_attempted > 0
+            ? parseFloat(((problem.times_solved / problem.times_attempted) * 100).toFixed(2))
+            : 0
+        })),
+        total: parseInt(count)
+      };
+    } catch (error) {
+      console.error('Search problems error:', error);
+      throw new Error('Failed to search problems');
+    }
+  }
+
+  /**
+   * Get a problem by its QuantGuide ID
+   */
+  async getProblem(quantguideId) {
+    try {
+      const problem = await db('problems')
+        .where({ quantguide_id: quantguideId })
+        .first();
+
+      return problem ? this.formatProblem(problem) : null;
+    } catch (error) {
+      console.error('Get problem error:', error);
+      throw new Error('Failed to get problem');
+    }
+  }
+
+  /**
+   * Update a problem's usage and solve aggregates with one finished round.
+   * Runs inside the caller's transaction, after the round's participants
+   * have been written to game_round_participants. Participants are the
+   * players who played the problem out; the caller leaves out those who didn't.
+   */
+  async recordRoundResults(trx, quantguideId, participants) {
+    const problem = await trx('problems')
+      .where({ quantguide_id: quantguideId })
+      .forUpdate()
+      .first();
+
+    if (!problem) {
+      return;
+    }
+
+    const solvers = participants.filter(p => p.solved);
+    const previousSolved = problem.times_solved || 0;
+    const timesSolved = previousSolved + solvers.length;
+
+    // Running means weighted by the number of solves each side represents
+    const runningMean = (previousMean, values) => {
+      if (timesSolved === 0) return null;
+      const previousTotal = (previousMean || 0) * previousSolved;
+      const newTotal = values.reduce((sum, value) => sum + value, 0);
+      return Math.round((previousTotal + newTotal) / timesSolved);
+    };
+
+    // The problem plays every participant: a solve is a loss for the problem
+    const ratingChange = this.calculateRatingChange(problem.rating, participants);
+
+    const { median } = await trx('game_round_participants as grp')
+      .join('game_rounds as gr', 'grp.round_id', 'gr.round_id')
+      .where({ 'gr.problem_id': quantguideId, 'grp.solved': true })
+      .first(trx.raw('percentile_cont(0.5) within group (order by grp.solve_time) as median'));
+
+    await trx('problems')
+      .where({ quantguide_id: quantguideId })
+      .update({
+        times_used: (problem.times_used || 0) + 1,
+        times_attempted: (problem.times_attempted || 0) + participants.length,
+        times_solved: timesSolved,
+        avg_solve_time: runningMean(problem.avg_solve_time, solvers.map(p => Math.floor(p.solveTime / 1000))),
+        median_solve_time: median !== null ? Math.round(median) : null,
+        avg_solver_elo: runningMean(problem.avg_solver_elo, solvers.map(p => p.elo)),
+        rating: problem.rating + ratingChange
+      });
+  }
+
+  /**
+   * Rating change for a problem treated as an Elo opponent of each participant,
+   * averaged over participants like player changes are averaged over opponents
+   */
+  calculateRatingChange(problemRating, participants) {
+    if (participants.length === 0) {
+      return 0;
+    }
+
+    let totalChange = 0;
+
+    for (const participant of participants) {
+      // Actual score for the problem: 1 if it held out, 0 if solved
+      const actualScore = participant.solved ? 0 : 1;
+      totalChange += K_FACTOR * (actualScore - expectedScore(problemRating, participant.elo));
+    }
+
+    return Math.round(totalChange / participants.length);
+  }
+
+  /**
+   * Get usage and solve statistics for a problem.
+   * When solveTime (seconds) is given, also report the share of past
+   * solvers that time beats.
+   */
+  async getProblemStats(quantguideId, solveTime = null) {
+    try {
+      const problem = await db('problems')
+        .where({ quantguide_id: quantguideId })
+        .first();
+
+      if (!problem) {
+        return null;
+      }
+
+      const stats = {
+        problemId: problem.quantguide_id,
+        title: problem.title,
+        difficulty: this.formatProblem(problem).difficulty,
+        timesUsed: problem.times_used,
+        timesAttempted: problem.times_attempted,
+        timesSolved: problem.times_solved,
+        solveRate: problem.times_attempted > 0
+          ? parseFloat(((problem.times_solved / problem.times_attempted) * 100).toFixed(2))
+          : 0,
+        avgSolveTime: problem.avg_solve_time,
+        medianSolveTime: problem.median_solve_time,
+        avgSolverElo: problem.avg_solver_elo,
+        rating: problem.rating
+      };
+
+      if (solveTime !== null) {
+        const [{ total, slower }] = await db('game_round_participants as grp')
+          .join('game_rounds as gr', 'grp.round_id', 'gr.round_id')
+          .where({ 'gr.problem_id': quantguideId, 'grp.solved': true })
+          .select([
+            db.raw('COUNT(*) as total'),
+            db.raw('COUNT(*) FILTER (WHERE grp.solve_time > ?) as slower', [solveTime])
+          ]);
+
+        stats.fasterThanPercent = parseInt(total) > 0
+          ? parseFloat(((parseInt(slower) / parseInt(total)) * 100).toFixed(2))
+          : null;
+      }
+
+      return stats;
+    } catch (error) {
+      console.error('Get problem stats error:', error);
+      throw new Error('Failed to get problem statistics');
+    }
+  }
+
+  /**
+   * Upsert a catalog snapshot and soft-deactivate problems missing from it.
+   * Retired problems are never deleted so historical games.problem_id
+   * references keep resolving.
+   */
+  async syncCatalog(snapshot, { dryRun = false } = {}) {
+    const trx = await db.transaction();
+
+    try {
+      const existingRows = await trx('problems').select('*');
+      const existingById = new Map(existingRows.map(row => [row.quantguide_id, row]));
+      const snapshotIds = new Set(snapshot.map(problem => problem.id));
+
+      const report = {
+        added: [],
+        changed: [],
+        reactivated: [],
+        retired: [],
+        unchanged: 0
+      };
+
+      for (const problem of snapshot) {
+        const row = this.toProblemRow(problem);
+        const existing = existingById.get(problem.id);
+
+        if (!existing) {
+          report.added.push({ id: problem.id, title: problem.title });
+          if (!dryRun) {
+            await trx('problems').insert({
+              ...row,
+              companies: JSON.stringify(row.companies),
+              tags: JSON.stringify(row.tags),
+              rating: INITIAL_RATINGS[row.difficulty],
+              crawled_at: trx.fn.now()
+            });
+          }
+          continue;
+        }
+
+        const changedFields = this.diffProblemRow(existing, row);
+
+        if (!existing.is_active) {
+          report.reactivated.push({ id: problem.id, title: problem.title });
+        } else if (changedFields.length > 0) {
+          report.changed.push({ id: problem.id, title: problem.title, fields: changedFields });
+        } else {
+          report.unchanged++;
+          continue;
+        }
+
+        if (!dryRun) {
+          await trx('problems')
+            .where({ quantguide_id: problem.id })
+            .update({
+              ...row,
+              companies: JSON.stringify(row.companies),
+              tags: JSON.stringify(row.tags),
+              is_active: true,
+              crawled_at: trx.fn.now()
+            });
+        }
+      }
+
+      const retiredRows = existingRows.filter(row => row.is_active && !snapshotIds.has(row.quantguide_id));
+      report.retired = retiredRows.map(row => ({ id: row.quantguide_id, title: row.title }));
+
+      if (!dryRun && retiredRows.length > 0) {
+        await trx('problems')
+          .whereIn('quantguide_id', retiredRows.map(row => row.quantguide_id))
+          .update({ is_active: false });
+      }
+
+      await trx.commit();
+
+      return report;
+    } catch (error) {
+      await trx.rollback();
+      console.error('Sync catalog error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Map a snapshot entry (QuantGuide data model) to problems columns
+   */
+  toProblemRow(problem) {
+    return {
+      quantguide_id: problem.id,
+      title: problem.title,
+      difficulty: problem.difficulty.toLowerCase(),
+      topic: problem.topic,
+      is_premium: !!problem.isPremium,
+      companies: problem.companies || [],
+      tags: problem.tags || [],
+      url_ending: problem.urlEnding,
+      full_url: this.buildProblemUrl(problem.urlEnding)
+    };
+  }
+
+  /**
+   * List the catalog fields that differ between a stored row and a snapshot row
+   */
+  diffProblemRow(existing, row) {
+    const fields = ['title', 'difficulty', 'topic', 'is_premium', 'companies', 'tags', 'url_ending'];
+
+    return fields.filter(field =>
+      JSON.stringify(existing[field]) !== JSON.stringify(row[field])
+    );
+  }
+
+  /**
+   * Build the full QuantGuide URL for a problem slug
+   */
+  buildProblemUrl(urlEnding) {
+    return `${QUANTGUIDE_BASE_URL}/questions/${urlEnding}`;
+  }
+
+  /**
+   * Transform a problems row into the shape used by games and clients
+   */
+  formatProblem(problem) {
+    return {
+      id: problem.quantguide_id,
+      title: problem.title,
+      difficulty: problem.difficulty.charAt(0).toUpperCase() + problem.difficulty.slice(1),
+      topic: problem.topic,
+      isPremium: problem.is_premium,
+      companies: problem.companies || [],
+      tags: problem.tags || [],
+      rating: problem.rating,
+      isSuspended: problem.is_suspended,
+      url: problem.full_url,
+      dbId: problem.problem_id
+    };
+  }
+}
+
+module.exports = new ProblemService();
@@ -0,0 +1,275 @@
+const db = require('../database/connection');
+const problemService = require('./problemService');
+
+class ProblemSetService {
+  /**
+   * Create a problem set from an ordered list of QuantGuide problem IDs
+   */
+  async createProblemSet(userId, data) {
+    const { name, description = null, isPublic = false, problemIds } = data;
+
+    const trx = await db.transaction();
+
+    try {
+      const problemRows = await this.resolveProblems(trx, problemIds);
+
+      const [set] = await trx('problem_sets')
+        .insert({
+          owner_id: userId,
+          name,
+          description,
+          is_public: isPublic
+        })
+        .returning('*');
+
+      await this.insertItems(trx, set.set_id, problemRows);
+
+      await trx.commit();
+
+      return await this.getProblemSet(set.set_id, userId);
+    } catch (error) {
+      await trx.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Get a problem set with its problems in play order.
+   * Private sets are only visible to their owner.
+   */
+  async getProblemSet(setId, viewerId = null) {
+    try {
+      const set = await db('problem_sets as ps')
+        .leftJoin('users as u', 'ps.owner_id', 'u.user_id')
+        .where({ 'ps.set_id': setId })
+        .select(['ps.*', 'u.username as owner_name'])
+        .first();
+
+      if (!set || (!set.is_public && set.owner_id !== viewerId)) {
+        return null;
+      }
+
+      const items = await db('problem_set_items as psi')
+        .join('problems', 'psi.problem_id', 'problems.problem_id')
+        .where({ 'psi.set_id': setId })
+        .orderBy('psi.position', 'asc')
+        .select(['problems.*', 'psi.position']);
+
+      return {
+        ...this.formatProblemSet(set),
+        problems: items.map(item => ({
+          ...problemService.formatProblem(item),
+          position: item.position,
+          isActive: item.is_active
+        }))
+      };
+    } catch (error) {
+      console.error('Get problem set error:', error);
+      throw new Error('Failed to get problem set');
+    }
+  }
+
+  /**
+   * List problem sets owned by a user
+   */
+  async getUserProblemSets(userId) {
+    try {
+      const sets = await db('problem_sets as ps')
+        .leftJoin('problem_set_items as psi', 'ps.set_id', 'psi.set_id')
+        .where({ 'ps.owner_id': userId })
+        .groupBy('ps.set_id')
+        .orderBy('ps.updated_at', 'desc')
+        .select(['ps.*', db.raw('COUNT(psi.problem_id)::int as problem_count')]);
+
+      return sets.map(set => ({
+        ...this.formatProblemSet(set),
+        problemCount: set.problem_count
+      }));
+    } catch (error) {
+      console.error('Get user problem sets error:', error);
+      throw new Error('Failed to get problem sets');
+    }
+  }
+
+  /**
+   * List public problem sets, most recently updated first
+   */
+  async getPublicProblemSets() {
+    try {
+      const sets = await db('problem_sets as ps')
+        .leftJoin('users as u', 'ps.owner_id', 'u.user_id')
+        .leftJoin('problem_set_items as psi', 'ps.set_id', 'psi.set_id')
+        .where({ 'ps.is_public': true })
+        .groupBy('ps.set_id', 'u.username')
+        .orderBy('ps.updated_at', 'desc')
+        .select(['ps.*', 'u.username as owner_name', db.raw('COUNT(psi.problem_id)::int as problem_count')]);
+
+      return sets.map(set => ({
+        ...this.formatProblemSet(set),
+        problemCount: set.problem_count
+      }));
+    } catch (error) {
+      console.error('Get public problem sets error:', error);
+      throw new Error('Failed to get problem sets');
+    }
+  }
+
+  /**
+   * Update a problem set (owner only). Replacing problemIds rewrites the order.
+   */
+  async updateProblemSet(setId, userId, data) {
+    const trx = await db.transaction();
+
+    try {
+      await this.getOwnedSet(trx, setId, userId);
+
+      const updates = {};
+      if (data.name !== undefined) updates.name = data.name;
+      if (data.description !== undefined) updates.description = data.description;
+      if (data.isPublic !== undefined) updates.is_public = data.isPublic;
+
+      if (data.problemIds) {
+        const problemRows = await this.resolveProblems(trx, data.problemIds);
+
+        await trx('problem_set_items')
+          .where({ set_id: setId })
+          .delete();
+
+        await this.insertItems(trx, setId, problemRows);
+
+        // Rooms walking through this set start over with the new order
+        await trx('rooms')
+          .where({ problem_set_id: setId })
+          .update({ problem_set_position: 0 });
+      }
+
+      await trx('problem_sets')
+        .where({ set_id: setId })
+        .update({ ...updates, updated_at: trx.fn.now() });
+
+      await trx.commit();
+
+      return await this.getProblemSet(setId, userId);
+    } catch (error) {
+      await trx.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a problem set (owner only)
+   */
+  async deleteProblemSet(setId, userId) {
+    const trx = await db.transaction();
+
+    try {
+      await this.getOwnedSet(trx, setId, userId);
+
+      await trx('problem_sets')
+        .where({ set_id: setId })
+        .delete();
+
+      await trx.commit();
+    } catch (error) {
+      await trx.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Get the next playable problem of a set at or after the given position.
+   * Retired and suspended problems are skipped. Returns null once the set is exhausted.
+   */
+  async getNextProblem(setId, fromPosition = 0) {
+    const item = await db('problem_set_items as psi')
+      .join('problems', 'psi.problem_id', 'problems.problem_id')
+      .where({ 'psi.set_id': setId, 'problems.is_active': true, 'problems.is_suspended': false })
+      .where('psi.position', '>=', fromPosition)
+      .orderBy('psi.position', 'asc')
+      .select(['problems.*', 'psi.position'])
+      .first();
+
+    if (!item) {
+      return null;
+    }
+
+    const [{ count }] = await db('problem_set_items')
+      .where({ set_id: setId })
+      .count('* as count');
+
+    return {
+      problem: problemService.formatProblem(item),
+      position: item.position,
+      total: parseInt(count)
+    };
+  }
+
+  /**
+   * Look up a set inside a transaction and verify ownership
+   */
+  async getOwnedSet(trx, setId, userId) {
+    const set = await trx('problem_sets')
+      .where({ set_id: setId })
+      .forUpdate()
+      .first();
+
+    if (!set) {
+      throw new Error('Problem set not found');
+    }
+
+    if (set.owner_id !== userId) {
+      throw new Error('Only the owner can modify this problem set');
+    }
+
+    return set;
+  }
+
+  /**
+   * Map QuantGuide IDs to problems rows, preserving the given order
+   */
+  async resolveProblems(trx, problemIds) {
+    const rows = await trx('problems')
+      .whereIn('quantguide_id', problemIds)
+      .select(['problem_id', 'quantguide_id']);
+
+    const byQuantguideId = new Map(rows.map(row => [row.quantguide_id, row]));
+    const missing = problemIds.filter(id => !byQuantguideId.has(id));
+
+    if (missing.length > 0) {
+      throw new Error(`Unknown problem(s): ${missing.join(', ')}`);
+    }
+
+    return problemIds.map(id => byQuantguideId.get(id));
+  }
+
+  /**
+   * Insert set items in order
+   */
+  async insertItems(trx, setId, problemRows) {
+    await trx('problem_set_items').insert(
+      problemRows.map((row, position) => ({
+        set_id: setId,
+        problem_id: row.problem_id,
+        position
+      }))
+    );
+  }
+
+  /**
+   * Transform a problem_sets row into the API shape
+   */
+  formatProblemSet(set) {
+    return {
+      id: set.set_id,
+      name: set.name,
+      description: set.description,
+      isPublic: set.is_public,
+      ownerId: set.owner_id,
+      ownerName: set.owner_name,
+      createdAt: set.created_at,
+      updatedAt: set.updated_at
+    };
+  }
+}
+
+module.exports = new ProblemSetService();
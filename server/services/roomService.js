@@ -1,11 +1,34 @@
 const db = require('../database/connection');
 const { v4: uuidv4 } = require('uuid');
 
+// Ranked rooms only admit players of comparable rating
+const RANKED_MAX_ELO_SPREAD = 400;
+
+// Spectators don't count toward max_players but are still capped
+const MAX_SPECTATORS = 20;
+
 class RoomService {
   /**
    * Create a new room
    */
   async createRoom(userId, roomData) {
+    const { problemSetId = null, ranked = false } = roomData;
+    
+    if (ranked) {
+      await this.checkRankedRules(userId, roomData);
+    }
+    
+    if (problemSetId) {
+      const problemSet = await db('problem_sets')
+        .where({ set_id: problemSetId })
+        .first();
+      
+      // Private sets can only be played by their owner
+      if (!problemSet || (!problemSet.is_public && problemSet.owner_id !== userId)) {
+        throw new Error('Problem set not found');
+      }
+    }
+    
     try {
       const { name, maxPlayers = 8, difficulty = 'Medium', eloMin = 0, eloMax = 3000 } = roomData;
       
@@ -20,6 +43,8 @@ class RoomService {
           elo_min: eloMin,
           elo_max: eloMax,
           difficulty,
+          problem_set_id: problemSetId,
+          is_ranked: ranked,
           status: 'waiting',
           settings: JSON.stringify(roomData.settings || {})
         })
@@ -56,9 +81,38 @@ class RoomService {
   }
 
   /**
-   * Join a room
+   * Enforce ranked room rules: no host-picked problems and a narrow Elo
+   * window around the creator's rating
    */
-  async joinRoom(roomId, userId) {
+  async checkRankedRules(userId, roomData) {
+    const { problemSetId = null, eloMin = 0, eloMax = 3000, settings = {} } = roomData;
+    
+    if (problemSetId) {
+      throw new Error('Ranked rooms cannot use a problem set');
+    }
+    
+    if (settings.votingMode === 'host_pick') {
+      throw new Error('Ranked rooms cannot let the host pick problems');
+    }
+    
+    if (eloMax - eloMin > RANKED_MAX_ELO_SPREAD) {
+      throw new Error(`Ranked rooms need an ELO range of at most ${RANKED_MAX_ELO_SPREAD}`);
+    }
+    
+    const user = await db('users')
+      .where({ user_id: userId })
+      .select(['elo_rating'])
+      .first();
+    
+    if (!user || user.elo_rating < eloMin || user.elo_rating > eloMax) {
+      throw new Error('Your ELO must be within the ranked room\'s ELO range');
+    }
+  }
+
+  /**
+   * Join a room as a player, or as a spectator (also while a game is running)
+   */
+  async joinRoom(roomId, userId, { spectator = false } = {}) {
     const trx = await db.transaction();
     
     try {
@@ -72,12 +126,26 @@ class RoomService {
         throw new Error('Room not found');
       }
       
-      if (room.status !== 'waiting') {
-        throw new Error('Room is not accepting new players');
-      }
-      
-      if (room.current_players >= room.max_players) {
-        throw new Error('Room is full');
+      if (spectator) {
+        if (room.status !== 'waiting' && room.status !== 'in_game') {
+          throw new Error('Room is not open to spectators');
+        }
+        
+        const [{ count }] = await trx('room_participants')
+          .where({ room_id: roomId, is_spectator: true })
+          .count('* as count');
+        
+        if (parseInt(count) >= MAX_SPECTATORS) {
+          throw new Error('Spectator limit reached');
+        }
+      } else {
+        if (room.status !== 'waiting') {
+          throw new Error('Room is not accepting new players');
+        }
+        
+        if (room.current_players >= room.max_players) {
+          throw new Error('Room is full');
+        }
       }
       
       // Check if user is already in room
@@ -95,8 +163,8 @@ class RoomService {
         .select(['user_id', 'username', 'elo_rating'])
         .first();
       
-      // Check ELO requirements
-      if (user.elo_rating < room.elo_min || user.elo_rating > room.elo_max) {
+      // Check ELO requirements (spectators can watch any room)
+      if (!spectator && (user.elo_rating < room.elo_min || user.elo_rating > room.elo_max)) {
         throw new Error(`ELO rating must be between ${room.elo_min} and ${room.elo_max}`);
       }
       
@@ -104,14 +172,21 @@ class RoomService {
       await trx('room_participants').insert({
         room_id: roomId,
         user_id: userId,
-        is_host: false
+        is_host: false,
+        is_spectator: spectator
       });
       
       // Update room player count
-      await trx('rooms')
-        .where({ room_id: roomId })
-        .increment('current_players', 1)
-        .update({ last_activity: trx.fn.now() });
+      if (spectator) {
+        await trx('rooms')
+          .where({ room_id: roomId })
+          .update({ last_activity: trx.fn.now() });
+      } else {
+        await trx('rooms')
+          .where({ room_id: roomId })
+          .increment('current_players', 1)
+          .update({ last_activity: trx.fn.now() });
+      }
       
       await trx.commit();
       
@@ -144,6 +219,17 @@ class RoomService {
         .where({ room_id: roomId, user_id: userId })
         .delete();
       
+      // Spectators leave without touching the player count or host
+      if (participant.is_spectator) {
+        await trx('rooms')
+          .where({ room_id: roomId })
+          .update({ last_activity: trx.fn.now() });
+        
+        await trx.commit();
+        
+        return await this.getRoom(roomId);
+      }
+      
       // Update room
       const [room] = await trx('rooms')
         .where({ room_id: roomId })
@@ -155,7 +241,7 @@ class RoomService {
       if (participant.is_host && room.current_players > 0) {
         // Transfer host to next player
         const newHost = await trx('room_participants')
-          .where({ room_id: roomId })
+          .where({ room_id: roomId, is_spectator: false })
           .orderBy('joined_at', 'asc')
           .first();
         
@@ -206,14 +292,21 @@ class RoomService {
           'u.username as name',
           'u.elo_rating as elo',
           'rp.is_host as isHost',
+          'rp.team as team',
+          'rp.is_spectator as isSpectator',
+          'rp.status as status',
           'rp.joined_at as joinedAt'
         ])
         .orderBy('rp.joined_at', 'asc');
       
+      // The persisted game state holds private ballots; clients get it via game-resumed
+      const { game_state: gameState, ...publicRoom } = room;
+      
       return {
-        ...room,
+        ...publicRoom,
         settings: typeof room.settings === 'string' ? JSON.parse(room.settings) : (room.settings || {}),
-        players: participants
+        players: participants.filter(p => !p.isSpectator),
+        spectators: participants.filter(p => p.isSpectator)
       };
     } catch (error) {
       console.error('Get room error:', error);
@@ -222,12 +315,12 @@ class RoomService {
   }
 
   /**
-   * Get all active rooms
+   * Get all active rooms: open lobbies and running games that can be watched
    */
   async getAllRooms() {
     try {
       const rooms = await db('rooms')
-        .where({ status: 'waiting' })
+        .whereIn('status', ['waiting', 'in_game'])
         .orderBy('created_at', 'desc');
       
       // Get participant counts for each room
@@ -241,13 +334,18 @@ class RoomService {
               'u.username as name',
               'u.elo_rating as elo',
               'rp.is_host as isHost',
+              'rp.team as team',
+              'rp.is_spectator as isSpectator',
               'rp.joined_at as joinedAt'
             ]);
           
+          const { game_state: gameState, ...publicRoom } = room;
+          
           return {
-            ...room,
+            ...publicRoom,
             settings: typeof room.settings === 'string' ? JSON.parse(room.settings) : (room.settings || {}),
-            players: participants
+            players: participants.filter(p => !p.isSpectator),
+            spectatorCount: participants.filter(p => p.isSpectator).length
           };
         })
       );
@@ -259,6 +357,137 @@ class RoomService {
     }
   }
 
+  /**
+   * Attach a problem set to a room (or detach with null). Host only.
+   */
+  async attachProblemSet(roomId, userId, problemSetId) {
+    const room = await db('rooms')
+      .where({ room_id: roomId })
+      .first();
+    
+    if (!room) {
+      throw new Error('Room not found');
+    }
+    
+    if (room.current_host_id !== userId) {
+      throw new Error('Only the host can change the problem set');
+    }
+    
+    if (room.status !== 'waiting') {
+      throw new Error('Cannot change the problem set during a game');
+    }
+    
+    if (problemSetId && room.is_ranked) {
+      throw new Error('Ranked rooms cannot use a problem set');
+    }
+    
+    if (problemSetId) {
+      const problemSet = await db('problem_sets')
+        .where({ set_id: problemSetId })
+        .first();
+      
+      // Private sets can only be played by their owner
+      if (!problemSet || (!problemSet.is_public && problemSet.owner_id !== userId)) {
+        throw new Error('Problem set not found');
+      }
+    }
+    
+    await db('rooms')
+      .where({ room_id: roomId })
+      .update({
+        problem_set_id: problemSetId,
+        problem_set_position: 0,
+        last_activity: db.fn.now()
+      });
+    
+    return await this.getRoom(roomId);
+  }
+
+  /**
+   * Assign lobby players to teams in a team mode room. Host only.
+   */
+  async assignTeams(roomId, userId, assignments) {
+    const room = await db('rooms')
+      .where({ room_id: roomId })
+      .first();
+    
+    if (!room) {
+      throw new Error('Room not found');
+    }
+    
+    if (room.current_host_id !== userId) {
+      throw new Error('Only the host can assign teams');
+    }
+    
+    if (room.status !== 'waiting') {
+      throw new Error('Cannot change teams during a game');
+    }
+    
+    const settings = typeof room.settings === 'string' ? JSON.parse(room.settings) : (room.settings || {});
+    if (!settings.teamMode) {
+      throw new Error('Team mode is not enabled for this room');
+    }
+    
+    const invalidTeam = assignments.find(a => a.team > settings.teamMode.teamCount);
+    if (invalidTeam) {
+      throw new Error(`Teams must be numbered 1 to ${settings.teamMode.teamCount}`);
+    }
+    
+    const trx = await db.transaction();
+    
+    try {
+      for (const assignment of assignments) {
+        const updated = await trx('room_participants')
+          .where({ room_id: roomId, user_id: assignment.userId })
+          .update({ team: assignment.team });
+        
+        if (updated === 0) {
+          throw new Error('Player not in this room');
+        }
+      }
+      
+      await trx.commit();
+    } catch (error) {
+      await trx.rollback();
+      throw error;
+    }
+    
+    return await this.getRoom(roomId);
+  }
+
+  /**
+   * Mark a participant as connected ('active') or 'disconnected'
+   */
+  async setParticipantStatus(roomId, userId, status) {
+    await db('room_participants')
+      .where({ room_id: roomId, user_id: userId })
+      .update({ status });
+  }
+
+  /**
+   * Mark a returning participant as 'active' again
+   * @returns {boolean} Whether they had been marked 'disconnected'
+   */
+  async markReconnected(roomId, userId) {
+    const updated = await db('room_participants')
+      .where({ room_id: roomId, user_id: userId, status: 'disconnected' })
+      .update({ status: 'active' });
+    
+    return updated > 0;
+  }
+
+  /**
+   * Participants of open rooms still marked 'disconnected', e.g. from before a restart
+   */
+  async getDisconnectedParticipants() {
+    return await db('room_participants as rp')
+      .join('rooms as r', 'rp.room_id', 'r.room_id')
+      .join('users as u', 'rp.user_id', 'u.user_id')
+      .where({ 'rp.status': 'disconnected' })
+      .whereIn('r.status', ['waiting', 'active', 'in_game'])
+      .select('rp.room_id', 'u.user_id', 'u.username');
+  }
+
   /**
    * Update room status
    */
@@ -312,7 +541,7 @@ class RoomService {
       const participant = await db('room_participants as rp')
         .join('rooms as r', 'rp.room_id', 'r.room_id')
         .where({ 'rp.user_id': userId })
-        .whereIn('r.status', ['waiting', 'active'])
+        .whereIn('r.status', ['waiting', 'active', 'in_game'])
         .select('r.room_id')
         .first();
       
@@ -1,13 +1,20 @@
 const roomService = require('../services/roomService');
 const gameService = require('../services/gameService');
+const gameEventService = require('../services/gameEventService');
+const problemReportService = require('../services/problemReportService');
 const { socketAuth } = require('../middleware/auth');
 const { createSocketLimiter } = require('../middleware/security');
+const { schemas, validateRequest } = require('../utils/validation');
+
+// How long a disconnected player keeps their place in a room and game
+const RECONNECT_GRACE_PERIOD = (parseInt(process.env.RECONNECT_GRACE_PERIOD_SECONDS) || 60) * 1000;
 
 class SocketHandler {
   constructor(io) {
     this.io = io;
     this.userSocketMap = new Map(); // Map socket.id to user info
     this.userRoomMap = new Map(); // Map userId to roomId
+    this.disconnectTimers = new Map(); // Map userId to pending removal timeout
     
     // Apply authentication middleware
     this.io.use(socketAuth);
@@ -31,15 +38,40 @@ class SocketHandler {
         elo: socket.user.elo
       });
       
+      // Back within the grace period: keep their place
+      const pendingRemoval = this.disconnectTimers.get(socket.user.userId);
+      if (pendingRemoval) {
+        clearTimeout(pendingRemoval);
+        this.disconnectTimers.delete(socket.user.userId);
+      }
+      
       // Check if user is already in a room
       const currentRoomId = await roomService.getUserCurrentRoom(socket.user.userId);
       if (currentRoomId) {
         socket.join(currentRoomId);
         this.userRoomMap.set(socket.user.userId, currentRoomId);
         
+        // Also covers players whose removal timer was lost to a restart
+        if (await roomService.markReconnected(currentRoomId, socket.user.userId)) {
+          socket.to(currentRoomId).emit('player-reconnected', {
+            playerId: socket.user.userId,
+            username: socket.user.username
+          });
+        }
+        
         // Send current room info
         const room = await roomService.getRoom(currentRoomId);
         socket.emit('current-room', room);
+        
+        // Put reconnecting players back into their running game
+        const gameState = gameService.getGameState(currentRoomId);
+        if (gameState) {
+          socket.emit('game-resumed', {
+            gameState: gameService.toPublicState(gameState),
+            deadline: gameService.getPhaseDeadline(gameState),
+            serverTime: Date.now()
+          });
+        }
       }
       
       // Send initial room list
@@ -54,17 +86,209 @@ class SocketHandler {
       socket.on('disconnect', () => this.handleDisconnect(socket));
       
       // Game-related events
+      socket.on('assign-teams', (data) => this.handleAssignTeams(socket, data));
       socket.on('start-game', () => this.handleStartGame(socket));
       socket.on('player-ready', (data) => this.handlePlayerReady(socket, data));
+      socket.on('resolve-ready-check', (data) => this.handleResolveReadyCheck(socket, data));
       socket.on('vote-problem', (data) => this.handleVoteProblem(socket, data));
       socket.on('solution-attempt', (data) => this.handleSolutionAttempt(socket, data));
+      socket.on('forfeit', () => this.handleForfeit(socket));
+      socket.on('rematch-response', (data) => this.handleRematchResponse(socket, data));
+      socket.on('report-problem', (data, ack) => this.handleReportProblem(socket, data, ack));
       
       // Chat events
       socket.on('send-message', (data) => this.handleSendMessage(socket, data));
     });
     
+    // Broadcast game transitions, whether a player or a deadline caused them
+    this.subscribeToGameEvents();
+    
     // Start periodic cleanup
     this.startCleanupInterval();
+    
+    // Pick up games that were running before a restart
+    this.recoverActiveGames();
+    
+    // Restart the grace period of players who were disconnected at the time
+    this.resumeDisconnectTimers();
+  }
+
+  subscribeToGameEvents() {
+    gameService.on('ready-update', (roomId, result) => {
+      this.io.to(roomId).emit('ready-update', {
+        userId: result.userId,
+        ready: result.ready,
+        quantguideLoggedIn: result.quantguideLoggedIn,
+        readyCount: result.readyCount,
+        totalPlayers: result.gameState.participants.length,
+        readyEndTime: result.gameState.readyEndTime
+      });
+    });
+    
+    gameService.on('ready-countdown', (roomId, countdown) => {
+      this.io.to(roomId).emit('ready-countdown', countdown);
+    });
+    
+    gameService.on('ready-check-expired', (roomId, expiry) => {
+      this.io.to(roomId).emit('ready-check-expired', expiry);
+    });
+    
+    gameService.on('ready-check-resolved', (roomId, resolution) => {
+      this.io.to(roomId).emit('ready-check-resolved', resolution);
+    });
+    
+    gameService.on('voting-started', (roomId, gameState) => {
+      this.io.to(roomId).emit('voting-started', {
+        gameState: gameService.toPublicState(gameState),
+        problems: gameState.problemOptions,
+        votingMode: gameState.settings.votingMode || 'plurality',
+        votingEndTime: gameState.votingEndTime
+      });
+    });
+    
+    gameService.on('vote-update', (roomId, result) => {
+      this.io.to(roomId).emit('vote-update', {
+        votingMode: result.votingMode,
+        votesCount: result.votesCount,
+        totalPlayers: result.totalPlayers,
+        results: result.results
+      });
+    });
+    
+    gameService.on('problem-selected', (roomId, gameState) => {
+      this.io.to(roomId).emit('game-problem-selected', {
+        problem: gameState.currentProblem,
+        startTime: gameState.startTime,
+        endTime: gameState.endTime,
+        round: gameState.round,
+        totalRounds: gameState.totalRounds,
+        // Problem set rooms skip voting and go straight to the problem
+        ...(gameState.problemSet && {
+          problemSet: {
+            setId: gameState.problemSet.setId,
+            position: gameState.problemSet.position,
+            total: gameState.problemSet.total
+          }
+        })
+      });
+    });
+    
+    gameService.on('player-solved', (roomId, participant) => {
+      this.io.to(roomId).emit('player-solved', {
+        userId: participant.userId,
+        username: participant.username,
+        team: participant.team,
+        position: participant.position,
+        points: participant.points,
+        timeElapsed: Math.floor(participant.solveTime / 1000),
+        penalizedTimeElapsed: Math.floor(participant.penalizedSolveTime / 1000)
+      });
+    });
+    
+    gameService.on('wrong-attempt', (roomId, attempt) => {
+      this.io.to(roomId).emit('wrong-attempt', {
+        userId: attempt.userId,
+        username: attempt.username,
+        wrongAttempts: attempt.wrongAttempts,
+        penalty: attempt.penalty
+      });
+    });
+    
+    gameService.on('player-forfeited', (roomId, player) => {
+      this.io.to(roomId).emit('player-forfeited', {
+        userId: player.userId,
+        username: player.username
+      });
+    });
+    
+    gameService.on('round-ended', (roomId, { round, totalRounds, standings, teamStandings }) => {
+      this.io.to(roomId).emit('round-ended', {
+        round: round.round,
+        totalRounds,
+        problem: round.problem,
+        results: round.results,
+        teamResults: round.teamResults,
+        standings,
+        teamStandings
+      });
+    });
+    
+    gameService.on('game-ended', (roomId, result) => {
+      this.io.to(roomId).emit('game-ended', {
+        gameState: gameService.toPublicState(result.gameState),
+        eloChanges: result.eloChanges,
+        ranked: result.ranked,
+        standings: result.standings,
+        teamStandings: result.teamStandings,
+        winner: result.winner,
+        series: result.series
+      });
+    });
+    
+    gameService.on('rematch-offered', (roomId, offer) => {
+      this.io.to(roomId).emit('rematch-offered', offer);
+    });
+    
+    gameService.on('rematch-update', (roomId, offer) => {
+      this.io.to(roomId).emit('rematch-update', offer);
+    });
+    
+    gameService.on('rematch-cancelled', (roomId, { reason }) => {
+      this.io.to(roomId).emit('rematch-cancelled', { reason });
+    });
+    
+    // Rematches go straight to the first round, so clients get the start
+    // and the series so far together
+    gameService.on('rematch-started', (roomId, { gameState, series }) => {
+      this.io.to(roomId).emit('game-started', { gameState: gameService.toPublicState(gameState), rematch: true, series });
+    });
+    
+    gameService.on('game-cancelled', async (roomId, { reason }) => {
+      this.io.to(roomId).emit('game-cancelled', { reason });
+      
+      try {
+        const rooms = await roomService.getAllRooms();
+        this.io.emit('room-list', rooms);
+      } catch (error) {
+        console.error('Get rooms error:', error);
+      }
+    });
+  }
+
+  async recoverActiveGames() {
+    try {
+      // Phase timers are restored by the game service
+      const recovered = await gameService.recoverActiveGames();
+      
+      if (recovered.length > 0) {
+        console.log(`Recovered ${recovered.length} active game(s) after restart`);
+      }
+    } catch (error) {
+      console.error('Game recovery error:', error);
+    }
+  }
+
+  async resumeDisconnectTimers() {
+    try {
+      const disconnected = await roomService.getDisconnectedParticipants();
+      
+      for (const participant of disconnected) {
+        const user = { userId: participant.user_id, username: participant.username };
+        
+        // Already back, or already waited on
+        const connected = [...this.userSocketMap.values()].some(u => u.userId === user.userId);
+        if (connected || this.disconnectTimers.has(user.userId)) {
+          continue;
+        }
+        
+        const timeout = setTimeout(() => {
+          this.removeDisconnectedPlayer(user, participant.room_id);
+        }, RECONNECT_GRACE_PERIOD);
+        this.disconnectTimers.set(user.userId, timeout);
+      }
+    } catch (error) {
+      console.error('Resume disconnect timers error:', error);
+    }
   }
 
   async handleCreateRoom(socket, data) {
@@ -87,8 +311,19 @@ class SocketHandler {
         return;
       }
       
+      // Validate room options
+      const validation = validateRequest(data, schemas.createRoom);
+      if (!validation.isValid) {
+        socket.emit('error', { 
+          message: validation.errors.map(e => e.message).join(', '),
+          code: 'INVALID_REQUEST',
+          errors: validation.errors
+        });
+        return;
+      }
+      
       // Create room
-      const room = await roomService.createRoom(socket.user.userId, data);
+      const room = await roomService.createRoom(socket.user.userId, validation.value);
       
       // Join socket room
       socket.join(room.room_id);
@@ -124,7 +359,7 @@ class SocketHandler {
         });
       });
       
-      const { roomId } = data;
+      const { roomId, spectator = false } = data;
       
       if (!roomId) {
         socket.emit('error', { 
@@ -145,20 +380,21 @@ class SocketHandler {
       }
       
       // Join room
-      const room = await roomService.joinRoom(roomId, socket.user.userId);
+      const room = await roomService.joinRoom(roomId, socket.user.userId, { spectator: spectator === true });
       
-      // Join socket room
+      // Join socket room; spectators get every room broadcast too
       socket.join(roomId);
       this.userRoomMap.set(socket.user.userId, roomId);
       
       // Send confirmation
       socket.emit('room-joined', {
         success: true,
+        spectator: spectator === true,
         room
       });
       
       // Notify other players
-      socket.to(roomId).emit('player-joined', {
+      socket.to(roomId).emit(spectator === true ? 'spectator-joined' : 'player-joined', {
         player: {
           id: socket.user.userId,
           name: socket.user.username,
@@ -167,11 +403,21 @@ class SocketHandler {
         }
       });
       
+      // Catch spectators up on a game already in progress
+      const gameState = gameService.getGameState(roomId);
+      if (gameState) {
+        socket.emit('game-resumed', {
+          gameState: gameService.toPublicState(gameState),
+          deadline: gameService.getPhaseDeadline(gameState),
+          serverTime: Date.now()
+        });
+      }
+      
       // Broadcast updated room list
       const rooms = await roomService.getAllRooms();
       this.io.emit('room-list', rooms);
       
-      console.log(`${socket.user.username} joined room ${roomId}`);
+      console.log(`${socket.user.username} joined room ${roomId}${spectator === true ? ' as a spectator' : ''}`);
     } catch (error) {
       console.error('Join room error:', error);
       socket.emit('error', { 
@@ -185,6 +431,13 @@ class SocketHandler {
     try {
       const roomId = this.userRoomMap.get(socket.user.userId);
       
+      // Leaving on purpose overrides any pending grace period
+      const pendingRemoval = this.disconnectTimers.get(socket.user.userId);
+      if (pendingRemoval) {
+        clearTimeout(pendingRemoval);
+        this.disconnectTimers.delete(socket.user.userId);
+      }
+      
       if (!roomId) {
         socket.emit('error', { 
           message: 'You are not in any room',
@@ -193,6 +446,9 @@ class SocketHandler {
         return;
       }
       
+      // Leaving mid-game forfeits it
+      await gameService.forfeitIfInGame(roomId, socket.user.userId);
+      
       // Leave room
       const updatedRoom = await roomService.leaveRoom(roomId, socket.user.userId);
       
@@ -246,9 +502,66 @@ class SocketHandler {
     // Clean up user from maps
     this.userSocketMap.delete(socket.id);
     
-    // Handle leave room on disconnect
-    if (socket.user) {
-      await this.handleLeaveRoom(socket);
+    if (!socket.user) {
+      return;
+    }
+    
+    // Another connection (e.g. popup and background worker) keeps the user present
+    const userId = socket.user.userId;
+    const stillConnected = [...this.userSocketMap.values()].some(u => u.userId === userId);
+    const roomId = this.userRoomMap.get(userId);
+    
+    if (stillConnected || !roomId) {
+      return;
+    }
+    
+    await this.holdDisconnectedPlayer(socket.user, roomId);
+  }
+
+  // Keep a disconnected player's place until the grace period runs out
+  async holdDisconnectedPlayer(user, roomId) {
+    try {
+      await roomService.setParticipantStatus(roomId, user.userId, 'disconnected');
+      
+      this.io.to(roomId).emit('player-disconnected', {
+        playerId: user.userId,
+        username: user.username,
+        reconnectBy: Date.now() + RECONNECT_GRACE_PERIOD
+      });
+      
+      const timeout = setTimeout(() => {
+        this.removeDisconnectedPlayer(user, roomId);
+      }, RECONNECT_GRACE_PERIOD);
+      this.disconnectTimers.set(user.userId, timeout);
+    } catch (error) {
+      console.error('Hold disconnected player error:', error);
+    }
+  }
+
+  // Grace period expired: take the player out of their room
+  async removeDisconnectedPlayer(user, roomId) {
+    this.disconnectTimers.delete(user.userId);
+    
+    try {
+      // Not coming back mid-game forfeits it
+      await gameService.forfeitIfInGame(roomId, user.userId);
+      
+      const updatedRoom = await roomService.leaveRoom(roomId, user.userId);
+      this.userRoomMap.delete(user.userId);
+      
+      if (updatedRoom) {
+        this.io.to(roomId).emit('player-left', {
+          playerId: user.userId,
+          room: updatedRoom
+        });
+      }
+      
+      const rooms = await roomService.getAllRooms();
+      this.io.emit('room-list', rooms);
+      
+      console.log(`${user.username} removed from room ${roomId} after disconnect grace period`);
+    } catch (error) {
+      console.error('Remove disconnected player error:', error);
     }
   }
 
@@ -288,6 +601,9 @@ class SocketHandler {
         message: sanitizedMessage,
         timestamp: new Date()
       });
+      
+      // Chat during a game is part of its timeline
+      gameEventService.recordChat(roomId, socket.user.userId, sanitizedMessage);
     } catch (error) {
       console.error('Send message error:', error);
       socket.emit('error', { 
@@ -297,6 +613,43 @@ class SocketHandler {
     }
   }
 
+  async handleAssignTeams(socket, data) {
+    try {
+      const roomId = this.userRoomMap.get(socket.user.userId);
+      
+      if (!roomId) {
+        socket.emit('error', { 
+          message: 'You are not in any room',
+          code: 'NOT_IN_ROOM'
+        });
+        return;
+      }
+      
+      const validation = validateRequest(data || {}, schemas.assignTeams);
+      if (!validation.isValid) {
+        socket.emit('error', { 
+          message: validation.errors.map(e => e.message).join(', '),
+          code: 'INVALID_REQUEST',
+          errors: validation.errors
+        });
+        return;
+      }
+      
+      const room = await roomService.assignTeams(roomId, socket.user.userId, validation.value.assignments);
+      
+      // Show the new line-up to everyone in the room
+      this.io.to(roomId).emit('teams-updated', { room });
+      
+      console.log(`Teams updated in room ${roomId} by ${socket.user.username}`);
+    } catch (error) {
+      console.error('Assign teams error:', error);
+      socket.emit('error', { 
+        message: error.message || 'Failed to assign teams',
+        code: 'ASSIGN_TEAMS_ERROR'
+      });
+    }
+  }
+
   // Game-related methods
   async handleStartGame(socket) {
     try {
@@ -314,7 +667,7 @@ class SocketHandler {
       const gameState = await gameService.startGame(roomId, socket.user.userId);
       
       // Notify all players in room
-      this.io.to(roomId).emit('game-started', { gameState });
+      this.io.to(roomId).emit('game-started', { gameState: gameService.toPublicState(gameState) });
       
       console.log(`Game started in room ${roomId} by ${socket.user.username}`);
     } catch (error) {
@@ -340,43 +693,49 @@ class SocketHandler {
       
       const { ready, quantguideLoggedIn } = data;
       
-      // Update player ready status
-      const result = await gameService.updatePlayerReady(
+      // Update player ready status; the game service broadcasts the
+      // ready count and, once everyone is ready, the next phase
+      await gameService.updatePlayerReady(
         roomId, 
         socket.user.userId, 
         ready, 
         quantguideLoggedIn
       );
       
-      // Notify all players in room
-      this.io.to(roomId).emit('ready-update', {
-        userId: socket.user.userId,
-        ready,
-        quantguideLoggedIn,
-        readyCount: result.readyCount,
-        totalPlayers: result.gameState.participants.length
+      console.log(`Player ${socket.user.username} ready: ${ready}, QuantGuide logged in: ${quantguideLoggedIn}`);
+    } catch (error) {
+      console.error('Player ready error:', error);
+      socket.emit('error', { 
+        message: error.message || 'Failed to update ready status',
+        code: 'READY_ERROR'
       });
+    }
+  }
+
+  async handleResolveReadyCheck(socket, data) {
+    try {
+      const roomId = this.userRoomMap.get(socket.user.userId);
       
-      // If all ready, start voting phase
-      if (result.allReady) {
-        this.io.to(roomId).emit('voting-started', {
-          gameState: result.gameState,
-          problems: result.gameState.problemOptions,
-          votingEndTime: result.gameState.votingEndTime
+      if (!roomId) {
+        socket.emit('error', { 
+          message: 'You are not in any room',
+          code: 'NOT_IN_ROOM'
         });
-        
-        // Set timeout for voting phase
-        setTimeout(async () => {
-          await gameService.checkGameTimeout(roomId);
-        }, 31000); // 31 seconds to ensure voting has ended
+        return;
       }
       
-      console.log(`Player ${socket.user.username} ready: ${ready}, QuantGuide logged in: ${quantguideLoggedIn}`);
+      const { action } = data || {};
+      
+      // Cancelling broadcasts game-cancelled; continuing broadcasts the
+      // dropped players and opens the first round
+      await gameService.resolveReadyCheck(roomId, socket.user.userId, action);
+      
+      console.log(`Host ${socket.user.username} chose to ${action} after the ready check in room ${roomId}`);
     } catch (error) {
-      console.error('Player ready error:', error);
+      console.error('Resolve ready check error:', error);
       socket.emit('error', { 
-        message: error.message || 'Failed to update ready status',
-        code: 'READY_ERROR'
+        message: error.message || 'Failed to resolve ready check',
+        code: 'READY_CHECK_ERROR'
       });
     }
   }
@@ -393,43 +752,22 @@ class SocketHandler {
         return;
       }
       
-      const { problemId } = data;
+      // Ranked choice rooms send an ordered ranking, every other mode a single problem
+      const { problemId, ranking } = data || {};
+      const ballot = ranking || problemId;
       
-      if (!problemId) {
+      if (!ballot) {
         socket.emit('error', { 
-          message: 'Problem ID is required',
+          message: 'Problem ID or ranking is required',
           code: 'INVALID_REQUEST'
         });
         return;
       }
       
-      // Submit vote
-      const result = await gameService.submitVote(roomId, socket.user.userId, problemId);
-      
-      // Notify all players of vote count
-      this.io.to(roomId).emit('vote-update', {
-        votesCount: result.votesCount,
-        totalPlayers: result.totalPlayers
-      });
-      
-      // If all voted, game will start automatically
-      if (result.allVoted) {
-        const gameState = gameService.getGameState(roomId);
-        if (gameState && gameState.status === 'playing') {
-          this.io.to(roomId).emit('game-problem-selected', {
-            problem: gameState.currentProblem,
-            startTime: gameState.startTime,
-            endTime: gameState.endTime
-          });
-          
-          // Set timeout for game end
-          setTimeout(async () => {
-            await gameService.checkGameTimeout(roomId);
-          }, gameState.endTime - Date.now() + 1000);
-        }
-      }
+      // Submit vote; once voting is complete the game starts automatically
+      await gameService.submitVote(roomId, socket.user.userId, ballot);
       
-      console.log(`Player ${socket.user.username} voted for problem ${problemId}`);
+      console.log(`Player ${socket.user.username} voted in room ${roomId}`);
     } catch (error) {
       console.error('Vote problem error:', error);
       socket.emit('error', { 
@@ -453,39 +791,137 @@ class SocketHandler {
       
       const { solved } = data;
       
-      // Submit solution
+      // Submit solution; solves and the end of the game are broadcast
+      // by the game service
       const result = await gameService.submitSolution(roomId, socket.user.userId, solved);
       
       if (result.alreadySolved) {
         return; // Player already submitted
       }
       
-      // Notify all players if solved
-      if (solved && result.participant) {
-        this.io.to(roomId).emit('player-solved', {
-          userId: socket.user.userId,
-          username: result.participant.username,
-          position: result.participant.position,
-          points: result.participant.points,
-          timeElapsed: Math.floor(result.participant.solveTime / 1000)
+      console.log(`Player ${socket.user.username} solution attempt: ${solved ? 'SOLVED' : 'FAILED'}`);
+    } catch (error) {
+      console.error('Solution attempt error:', error);
+      socket.emit('error', { 
+        message: error.message || 'Failed to submit solution',
+        code: 'SOLUTION_ERROR'
+      });
+    }
+  }
+
+  async handleForfeit(socket) {
+    try {
+      const roomId = this.userRoomMap.get(socket.user.userId);
+      
+      if (!roomId) {
+        socket.emit('error', { 
+          message: 'You are not in any room',
+          code: 'NOT_IN_ROOM'
         });
+        return;
       }
       
-      // Check if game ended
-      if (result.gameState && result.gameState.status === 'finished') {
-        this.io.to(roomId).emit('game-ended', {
-          gameState: result.gameState,
-          eloChanges: result.eloChanges,
-          winner: result.winner
+      // The game service broadcasts the forfeit and any resulting transition
+      await gameService.forfeit(roomId, socket.user.userId);
+      
+      console.log(`Player ${socket.user.username} forfeited in room ${roomId}`);
+    } catch (error) {
+      console.error('Forfeit error:', error);
+      socket.emit('error', { 
+        message: error.message || 'Failed to forfeit',
+        code: 'FORFEIT_ERROR'
+      });
+    }
+  }
+
+  async handleRematchResponse(socket, data) {
+    try {
+      const roomId = this.userRoomMap.get(socket.user.userId);
+      
+      if (!roomId) {
+        socket.emit('error', { 
+          message: 'You are not in any room',
+          code: 'NOT_IN_ROOM'
         });
+        return;
       }
       
-      console.log(`Player ${socket.user.username} solution attempt: ${solved ? 'SOLVED' : 'FAILED'}`);
+      const accept = Boolean(data && data.accept);
+      
+      // The game service broadcasts the tally and starts the rematch once decided
+      await gameService.respondToRematch(roomId, socket.user.userId, accept);
+      
+      console.log(`Player ${socket.user.username} ${accept ? 'accepted' : 'declined'} the rematch in room ${roomId}`);
     } catch (error) {
-      console.error('Solution attempt error:', error);
+      console.error('Rematch response error:', error);
       socket.emit('error', { 
-        message: error.message || 'Failed to submit solution',
-        code: 'SOLUTION_ERROR'
+        message: error.message || 'Failed to answer rematch',
+        code: 'REMATCH_ERROR'
+      });
+    }
+  }
+
+  // Replies to the reporter through the acknowledgement, if one was given;
+  // the room only hears about reports that were filed
+  async handleReportProblem(socket, data, ack) {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    
+    try {
+      const roomId = this.userRoomMap.get(socket.user.userId);
+      
+      if (!roomId) {
+        reply({ success: false, error: 'You are not in any room' });
+        socket.emit('error', { 
+          message: 'You are not in any room',
+          code: 'NOT_IN_ROOM'
+        });
+        return;
+      }
+      
+      const gameState = gameService.getGameState(roomId);
+      if (!gameState || !gameState.currentProblem) {
+        reply({ success: false, error: 'No problem is being played' });
+        socket.emit('error', { 
+          message: 'No problem is being played',
+          code: 'INVALID_REQUEST'
+        });
+        return;
+      }
+      
+      const validation = validateRequest(data || {}, schemas.reportProblem);
+      if (!validation.isValid) {
+        reply({ success: false, error: validation.errors.map(e => e.message).join(', ') });
+        socket.emit('error', { 
+          message: validation.errors.map(e => e.message).join(', '),
+          code: 'INVALID_REQUEST',
+          errors: validation.errors
+        });
+        return;
+      }
+      
+      const result = await problemReportService.createReport(
+        socket.user.userId,
+        gameState.currentProblem.id,
+        { ...validation.value, gameId: gameState.gameId }
+      );
+      
+      // Let the room know the problem has been flagged
+      this.io.to(roomId).emit('problem-reported', {
+        problemId: gameState.currentProblem.id,
+        reason: result.report.reason,
+        openReports: result.openReports,
+        suspended: result.suspended
+      });
+      
+      reply({ success: true, openReports: result.openReports, suspended: result.suspended });
+      
+      console.log(`Player ${socket.user.username} reported problem ${gameState.currentProblem.id}: ${result.report.reason}`);
+    } catch (error) {
+      console.error('Report problem error:', error);
+      reply({ success: false, error: error.message || 'Failed to report problem' });
+      socket.emit('error', { 
+        message: error.message || 'Failed to report problem',
+        code: 'REPORT_ERROR'
       });
     }
   }
@@ -0,0 +1,17 @@
+// K-factor shared by player and problem ratings
+const K_FACTOR = 32;
+
+/**
+ * Expected score of a rated side against an opponent (Elo formula)
+ * @param {number} rating - Rating of the side being evaluated
+ * @param {number} opponentRating - Rating of the opponent
+ * @returns {number} Expected score between 0 and 1
+ */
+const expectedScore = (rating, opponentRating) => {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+};
+
+module.exports = {
+  K_FACTOR,
+  expectedScore
+};
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const { schemas, validateRequest } = require('./validation');
+
+/**
+ * Split CSV text into rows of fields, honouring quoted fields
+ * @param {string} text - Raw CSV content
+ * @returns {Array<Array<string>>} Rows of field values
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim().length > 0));
+};
+
+/**
+ * Parse a CSV list cell into the data model's [{key: value}] shape.
+ * Accepts either a JSON array or a semicolon-separated list.
+ * @param {string} value - Raw cell value
+ * @param {string} key - Object key ('company' or 'tag')
+ * @returns {Array<Object>} Parsed list
+ */
+const parseCsvList = (value, key) => {
+  const trimmed = (value || '').trim();
+
+  if (!trimmed) {
+    return [];
+  }
+
+  if (trimmed.startsWith('[')) {
+    return JSON.parse(trimmed);
+  }
+
+  return trimmed
+    .split(';')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => ({ [key]: item }));
+};
+
+/**
+ * Convert CSV content into snapshot records
+ * @param {string} text - Raw CSV content with a header row
+ * @returns {Array<Object>} Snapshot records
+ */
+const parseCsvSnapshot = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(column => column.trim());
+
+  return rows.map(row => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = row[index] !== undefined ? row[index].trim() : '';
+    });
+
+    return {
+      ...record,
+      companies: parseCsvList(record.companies, 'company'),
+      tags: parseCsvList(record.tags, 'tag')
+    };
+  });
+};
+
+/**
+ * Read and validate a problem catalog snapshot from a local JSON or CSV file
+ * @param {string} filePath - Path to the snapshot file
+ * @returns {Object} Valid problems and per-record errors
+ */
+const loadProblemSnapshot = (filePath) => {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  let records;
+  if (extension === '.csv') {
+    records = parseCsvSnapshot(text);
+  } else if (extension === '.json') {
+    const data = JSON.parse(text);
+    // Accept either a bare array or the crawler's { questions: [...] } shape
+    records = Array.isArray(data) ? data : data.questions;
+  } else {
+    throw new Error(`Unsupported snapshot format: ${extension || 'none'} (expected .json or .csv)`);
+  }
+
+  if (!Array.isArray(records)) {
+    throw new Error('Snapshot must contain an array of problems');
+  }
+
+  const problems = [];
+  const errors = [];
+  const seenIds = new Set();
+
+  records.forEach((record, index) => {
+    const validation = validateRequest(record, schemas.problemSnapshot);
+
+    if (!validation.isValid) {
+      errors.push({ index, id: record && record.id, errors: validation.errors });
+      return;
+    }
+
+    if (seenIds.has(validation.value.id)) {
+      errors.push({ index, id: validation.value.id, errors: [{ field: 'id', message: 'Duplicate problem id' }] });
+      return;
+    }
+
+    seenIds.add(validation.value.id);
+    problems.push(validation.value);
+  });
+
+  return { problems, errors };
+};
+
+module.exports = {
+  parseCsvSnapshot,
+  loadProblemSnapshot
+};
@@ -0,0 +1,47 @@
+// Points for the first solver; every strategy scales from here
+const MAX_POINTS = 1000;
+
+/**
+ * Points for a solve decaying by 20% per earlier solver
+ * @param {number} position - Solve order within the round (1-based)
+ * @returns {number} Points earned
+ */
+const placementPoints = (position) => {
+  return Math.floor(MAX_POINTS * Math.pow(0.8, position - 1));
+};
+
+/**
+ * Scoring strategies a room can select, keyed by their settings name.
+ * Each receives the solve context and returns the points earned:
+ * { position, solveTime (ms), timeLimit (ms) }
+ */
+const SCORING_STRATEGIES = {
+  // Exponential decay by solve order
+  placement: ({ position }) => placementPoints(position),
+
+  // Scales with the time left on the clock, with a floor so any solve beats none
+  time: ({ solveTime, timeLimit }) => {
+    const remaining = Math.max(0, timeLimit - solveTime) / timeLimit;
+    return Math.floor(MAX_POINTS * 0.1 + MAX_POINTS * 0.9 * remaining);
+  },
+
+  // Same points for every solve
+  flat: () => MAX_POINTS
+};
+
+const DEFAULT_SCORING = 'placement';
+
+/**
+ * Look up a scoring strategy, falling back to the default for unknown names
+ * @param {string} name - Strategy name from room settings
+ * @returns {Function} Strategy function
+ */
+const getScoringStrategy = (name) => {
+  return SCORING_STRATEGIES[name] || SCORING_STRATEGIES[DEFAULT_SCORING];
+};
+
+module.exports = {
+  SCORING_STRATEGIES,
+  DEFAULT_SCORING,
+  getScoringStrategy
+};
@@ -1,4 +1,6 @@
 const Joi = require('joi');
+const { SCORING_STRATEGIES, DEFAULT_SCORING } = require('./scoring');
+const { VOTING_MODES, DEFAULT_VOTING_MODE } = require('./voting');
 
 // User registration schema
 const registerSchema = Joi.object({
@@ -48,6 +50,127 @@ const loginSchema = Joi.object({
     })
 });
 
+// Problem pool filter applied when drawing vote options
+const problemFilterSchema = Joi.object({
+  topics: Joi.array()
+    .items(Joi.string().max(50))
+    .max(20)
+    .default([]),
+  
+  tags: Joi.array()
+    .items(Joi.string().max(100))
+    .max(20)
+    .default([]),
+  
+  companies: Joi.array()
+    .items(Joi.string().max(100))
+    .max(20)
+    .default([]),
+  
+  excludePremium: Joi.boolean()
+    .default(false)
+});
+
+// Room settings schema (stored in rooms.settings)
+const roomSettingsSchema = Joi.object({
+  problemFilter: problemFilterSchema.default(),
+  
+  // Whether vote options may include problems participants have played before
+  repeatPolicy: Joi.string()
+    .valid('exclude_seen', 'exclude_solved', 'allow_repeats')
+    .default('exclude_seen'),
+  
+  // Draw vote options by QuantGuide label or by calibrated problem rating
+  problemSelection: Joi.string()
+    .valid('difficulty', 'rating')
+    .default('difficulty'),
+  
+  ratingWindow: Joi.number()
+    .integer()
+    .min(50)
+    .max(1000)
+    .default(200),
+  
+  // How each round's problem is chosen from the vote options (see utils/voting)
+  votingMode: Joi.string()
+    .valid(...Object.keys(VOTING_MODES))
+    .default(DEFAULT_VOTING_MODE),
+  
+  // How a solve is turned into points (see utils/scoring)
+  scoring: Joi.string()
+    .valid(...Object.keys(SCORING_STRATEGIES))
+    .default(DEFAULT_SCORING),
+  
+  // Cost of each wrong attempt: seconds added to the solve time, or points deducted
+  wrongAttemptPenalty: Joi.object({
+    type: Joi.string()
+      .valid('none', 'time', 'points')
+      .default('none'),
+    amount: Joi.when('type', {
+      is: 'time',
+      then: Joi.number().integer().min(1).max(600).default(60),
+      otherwise: Joi.number().integer().min(0).max(1000).default(100)
+    })
+  }).default(),
+  
+  // Team games: players are split into teams that are ranked (and rated) together
+  teamMode: Joi.object({
+    teamCount: Joi.number()
+      .integer()
+      .min(2)
+      .max(4)
+      .default(2),
+    
+    // auto: balance teams by Elo at game start; manual: host assigns players
+    assignment: Joi.string()
+      .valid('auto', 'manual')
+      .default('auto'),
+    
+    // sum: every member's points count; first_solve: only the team's best solve
+    scoring: Joi.string()
+      .valid('sum', 'first_solve')
+      .default('sum')
+  }).allow(null).default(null),
+  
+  // Problems per match; Elo is settled once on the cumulative standings
+  rounds: Joi.number()
+    .integer()
+    .min(1)
+    .max(10)
+    .default(1),
+  
+  // Phase durations in seconds
+  solveTimeLimit: Joi.number()
+    .integer()
+    .min(60)
+    .max(60 * 60)
+    .default(15 * 60)
+    .messages({
+      'number.min': 'Solve time limit must be at least 1 minute',
+      'number.max': 'Solve time limit must not exceed 60 minutes'
+    }),
+  
+  votingWindow: Joi.number()
+    .integer()
+    .min(10)
+    .max(120)
+    .default(30)
+    .messages({
+      'number.min': 'Voting window must be at least 10 seconds',
+      'number.max': 'Voting window must not exceed 2 minutes'
+    }),
+  
+  readyCheckWindow: Joi.number()
+    .integer()
+    .min(15)
+    .max(10 * 60)
+    .default(2 * 60)
+    .messages({
+      'number.min': 'Ready check window must be at least 15 seconds',
+      'number.max': 'Ready check window must not exceed 10 minutes'
+    })
+});
+
 // Room creation schema
 const createRoomSchema = Joi.object({
   name: Joi.string()
@@ -68,6 +191,13 @@ const createRoomSchema = Joi.object({
     .messages({
       'number.min': 'Room must allow at least 2 players',
       'number.max': 'Room cannot exceed 8 players'
+    })
+    // Ranked games need at least 3 players
+    .when('ranked', {
+      is: true,
+      then: Joi.number().min(3).messages({
+        'number.min': 'Ranked rooms must allow at least 3 players'
+      })
     }),
   
   difficulty: Joi.string()
@@ -88,7 +218,205 @@ const createRoomSchema = Joi.object({
     .greater(Joi.ref('eloMin'))
     .messages({
       'number.greater': 'Maximum ELO must be greater than minimum ELO'
+    }),
+  
+  problemSetId: Joi.string()
+    .guid()
+    .allow(null)
+    .default(null),
+  
+  // Ranked games change Elo; casual games are only recorded
+  ranked: Joi.boolean()
+    .default(false),
+  
+  settings: roomSettingsSchema.default()
+});
+
+// Problem set (playlist) schemas
+const problemSetFields = {
+  name: Joi.string()
+    .min(3)
+    .max(100)
+    .messages({
+      'string.min': 'Problem set name must be at least 3 characters long',
+      'string.max': 'Problem set name must not exceed 100 characters'
+    }),
+  
+  description: Joi.string()
+    .max(500)
+    .allow(''),
+  
+  isPublic: Joi.boolean(),
+  
+  // Ordered QuantGuide problem IDs
+  problemIds: Joi.array()
+    .items(Joi.string().max(255))
+    .min(1)
+    .max(100)
+    .unique()
+    .messages({
+      'array.min': 'Problem set must contain at least one problem',
+      'array.max': 'Problem set cannot exceed 100 problems',
+      'array.unique': 'Problem set cannot contain the same problem twice'
     })
+};
+
+const createProblemSetSchema = Joi.object({
+  ...problemSetFields,
+  name: problemSetFields.name.required(),
+  isPublic: problemSetFields.isPublic.default(false),
+  problemIds: problemSetFields.problemIds.required()
+});
+
+const updateProblemSetSchema = Joi.object(problemSetFields)
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be provided'
+  });
+
+// Attach/detach a problem set to a room
+const attachProblemSetSchema = Joi.object({
+  problemSetId: Joi.string()
+    .guid()
+    .allow(null)
+    .required()
+});
+
+// Host team assignments for a team mode room
+const assignTeamsSchema = Joi.object({
+  assignments: Joi.array()
+    .items(Joi.object({
+      userId: Joi.string().guid().required(),
+      team: Joi.number().integer().min(1).max(4).required()
+    }))
+    .min(1)
+    .unique('userId')
+    .required()
+});
+
+// Problem catalog snapshot entry schema (QuantGuide data model)
+const problemSnapshotSchema = Joi.object({
+  id: Joi.string()
+    .max(255)
+    .required(),
+  
+  title: Joi.string()
+    .max(255)
+    .required(),
+  
+  difficulty: Joi.string()
+    .lowercase()
+    .valid('easy', 'medium', 'hard')
+    .required(),
+  
+  topic: Joi.string()
+    .max(50)
+    .required(),
+  
+  isPremium: Joi.boolean()
+    .default(false),
+  
+  companies: Joi.array()
+    .items(Joi.object({ company: Joi.string().required() }))
+    .default([]),
+  
+  tags: Joi.array()
+    .items(Joi.object({ tag: Joi.string().required() }))
+    .default([]),
+  
+  urlEnding: Joi.string()
+    .max(255)
+    .required()
+});
+
+// Problem browsing/search query schema
+const searchProblemsSchema = Joi.object({
+  search: Joi.string()
+    .trim()
+    .max(100)
+    .allow(''),
+  
+  difficulty: Joi.string()
+    .lowercase()
+    .valid('easy', 'medium', 'hard'),
+  
+  topic: Joi.string()
+    .max(50),
+  
+  tag: Joi.string()
+    .max(100),
+  
+  company: Joi.string()
+    .max(100),
+  
+  premium: Joi.boolean(),
+  
+  sort: Joi.string()
+    .valid('title', 'popularity', 'solveRate', 'rating')
+    .default('title'),
+  
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1),
+  
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+});
+
+// Problem report schemas
+const reportProblemSchema = Joi.object({
+  reason: Joi.string()
+    .valid('dead_link', 'premium_only', 'wrong_difficulty', 'ambiguous_answer')
+    .required()
+    .messages({
+      'any.only': 'Reason must be one of dead_link, premium_only, wrong_difficulty, ambiguous_answer',
+      'any.required': 'Reason is required'
+    }),
+  
+  comment: Joi.string()
+    .trim()
+    .max(500)
+    .allow(''),
+  
+  gameId: Joi.string()
+    .guid()
+});
+
+const reviewReportSchema = Joi.object({
+  status: Joi.string()
+    .valid('upheld', 'dismissed')
+    .required(),
+  
+  note: Joi.string()
+    .trim()
+    .max(500)
+    .allow('')
+});
+
+const listReportsSchema = Joi.object({
+  status: Joi.string()
+    .valid('open', 'upheld', 'dismissed')
+    .default('open'),
+  
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1),
+  
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(50)
+});
+
+const problemSuspensionSchema = Joi.object({
+  suspended: Joi.boolean()
+    .required()
 });
 
 // Profile update schema
@@ -169,6 +497,16 @@ module.exports = {
     register: registerSchema,
     login: loginSchema,
     createRoom: createRoomSchema,
+    createProblemSet: createProblemSetSchema,
+    updateProblemSet: updateProblemSetSchema,
+    attachProblemSet: attachProblemSetSchema,
+    assignTeams: assignTeamsSchema,
+    problemSnapshot: problemSnapshotSchema,
+    searchProblems: searchProblemsSchema,
+    reportProblem: reportProblemSchema,
+    reviewReport: reviewReportSchema,
+    listReports: listReportsSchema,
+    problemSuspension: problemSuspensionSchema,
     updateProfile: updateProfileSchema,
     forgotPassword: forgotPasswordSchema,
     resetPassword: resetPasswordSchema
@@ -0,0 +1,179 @@
+/**
+ * Count single-choice ballots per option, including options nobody picked
+ * @param {Array<string>} choices - Problem IDs, one per ballot
+ * @param {Array<Object>} options - Problems on offer
+ * @returns {Object} problemId -> count
+ */
+const countChoices = (choices, options) => {
+  const counts = Object.fromEntries(options.map(p => [p.id, 0]));
+  for (const problemId of choices) {
+    if (counts[problemId] !== undefined) {
+      counts[problemId] += 1;
+    }
+  }
+  return counts;
+};
+
+/**
+ * Problem IDs sharing the highest count; empty when nothing was counted
+ * @param {Object} counts - problemId -> count
+ * @returns {Array<string>} Tied leaders
+ */
+const leaders = (counts) => {
+  const max = Math.max(0, ...Object.values(counts));
+  if (max === 0) return [];
+  return Object.keys(counts).filter(id => counts[id] === max);
+};
+
+const assertOption = (problemId, options) => {
+  if (!options.some(p => p.id === problemId)) {
+    throw new Error('Invalid problem selection');
+  }
+};
+
+// Veto ballots are the list of options each player has struck
+const vetoedIds = (votes) => new Set(Object.values(votes).flat());
+
+const remainingOptions = (votes, options) => {
+  const vetoed = vetoedIds(votes);
+  return options.filter(p => !vetoed.has(p.id));
+};
+
+// Players veto in turn, in participant order, wrapping around
+const nextVetoer = (votes, voters) => {
+  if (voters.length === 0) return null;
+  return voters[vetoedIds(votes).size % voters.length];
+};
+
+/**
+ * Instant runoff: drop the weakest options until one holds a majority of the
+ * ballots that still rank a standing option
+ * @param {Array<Array<string>>} ballots - Ranked problem IDs, best first
+ * @param {Array<Object>} options - Problems on offer
+ * @returns {Array<string>} Winner, or the options still tied
+ */
+const instantRunoff = (ballots, options) => {
+  let standing = options.map(p => p.id);
+
+  while (standing.length > 1) {
+    const counts = countChoices(
+      ballots.map(ballot => ballot.find(id => standing.includes(id))).filter(Boolean),
+      options.filter(p => standing.includes(p.id))
+    );
+    const counted = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const [leader] = leaders(counts);
+
+    if (!leader) return standing;
+    if (counts[leader] * 2 > counted) return [leader];
+
+    const min = Math.min(...Object.values(counts));
+    const survivors = standing.filter(id => counts[id] > min);
+
+    // Every standing option is tied
+    if (survivors.length === 0) return standing;
+    standing = survivors;
+  }
+
+  return standing;
+};
+
+const allVotersVoted = ({ votes, voters }) => voters.every(userId => votes[userId]);
+
+/**
+ * Voting modes a room can select, keyed by their settings name. Each mode
+ * works on the round's votes (userId -> ballot), the problems on offer and
+ * the user IDs allowed to vote:
+ *   castBallot - validate a ballot and return the voter's new votes entry
+ *   isComplete - whether voting can close before the window runs out
+ *   tally - anonymous partial results for vote updates
+ *   pick - problem IDs tied for the win (empty means all of them)
+ * Modes flagged skipsVoting draw a problem without a voting phase.
+ */
+const VOTING_MODES = {
+  // One vote each; most votes wins
+  plurality: {
+    castBallot: ({ ballot, options }) => {
+      assertOption(ballot, options);
+      return ballot;
+    },
+    isComplete: allVotersVoted,
+    tally: ({ votes, options }) => ({ counts: countChoices(Object.values(votes), options) }),
+    pick: ({ votes, options }) => leaders(countChoices(Object.values(votes), options))
+  },
+
+  // Players strike one option per turn until a single one remains
+  veto: {
+    castBallot: ({ ballot, userId, votes, options, voters }) => {
+      if (remainingOptions(votes, options).length <= 1) {
+        throw new Error('Vetoes are over');
+      }
+      if (nextVetoer(votes, voters) !== userId) {
+        throw new Error('Not your turn to veto');
+      }
+      if (vetoedIds(votes).has(ballot)) {
+        throw new Error('Problem already vetoed');
+      }
+      assertOption(ballot, options);
+      return [...(votes[userId] || []), ballot];
+    },
+    isComplete: ({ votes, options }) => remainingOptions(votes, options).length <= 1,
+    tally: ({ votes, options, voters }) => ({
+      remaining: remainingOptions(votes, options).map(p => p.id),
+      nextVoter: nextVetoer(votes, voters)
+    }),
+    pick: ({ votes, options }) => remainingOptions(votes, options).map(p => p.id)
+  },
+
+  // Ballots rank the options; resolved by instant runoff
+  ranked_choice: {
+    castBallot: ({ ballot, options }) => {
+      if (!Array.isArray(ballot) || ballot.length === 0) {
+        throw new Error('Ballot must rank at least one problem');
+      }
+      if (new Set(ballot).size !== ballot.length) {
+        throw new Error('Ballot cannot rank a problem twice');
+      }
+      ballot.forEach(problemId => assertOption(problemId, options));
+      return ballot;
+    },
+    isComplete: allVotersVoted,
+    // First preferences only; later rounds are resolved once voting closes
+    tally: ({ votes, options }) => ({
+      counts: countChoices(Object.values(votes).map(ballot => ballot[0]), options)
+    }),
+    pick: ({ votes, options }) => instantRunoff(Object.values(votes), options)
+  },
+
+  // The room host chooses the problem
+  host_pick: {
+    castBallot: ({ ballot, options }) => {
+      assertOption(ballot, options);
+      return ballot;
+    },
+    isComplete: allVotersVoted,
+    tally: () => ({}),
+    pick: ({ votes }) => Object.values(votes)
+  },
+
+  // No vote: a random problem is drawn
+  random: {
+    skipsVoting: true
+  }
+};
+
+const DEFAULT_VOTING_MODE = 'plurality';
+
+/**
+ * Look up a voting mode, falling back to the default for unknown names
+ * @param {string} name - Mode name from room settings
+ * @returns {Object} Voting mode
+ */
+const getVotingMode = (name) => {
+  return VOTING_MODES[name] || VOTING_MODES[DEFAULT_VOTING_MODE];
+};
+
+module.exports = {
+  VOTING_MODES,
+  DEFAULT_VOTING_MODE,
+  getVotingMode
+};